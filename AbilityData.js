@@ -0,0 +1,40 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// =================================================================
+// == ABILITY CONFIGURATION ==
+// =================================================================
+// The movement abilities the player can unlock; LevelData.js places the pickups that grant them.
+// 'color' tints the pickup. 'notice' is shown when the ability is unlocked and tells how to use it.
+// The abilities' numbers (speeds, durations) are tuned in Player.js.
+
+export const ABILITIES = {
+    // A second jump in mid-air
+    doubleJump: {
+        color: '#7fd8ff',
+        notice: {
+            en: 'Double jump: press Space again in mid-air',
+            ka: 'ორმაგი ხტომა: ჰაერში კიდევ ერთხელ დააჭირე Space-ს'
+        },
+    },
+
+    // A short burst of speed that nothing can hurt
+    dash: {
+        color: '#ff9f43',
+        notice: {
+            en: 'Dash: press Shift to dash, untouchable',
+            ka: 'გაქანება: დააჭირე Shift-ს, გაქანებისას ვერაფერი დაგაზიანებს'
+        },
+    },
+
+    // Sliding down tall trees and jumping off them
+    wallSlide: {
+        color: '#9cff6e',
+        notice: {
+            en: 'Wall slide: hold towards a tall tree in mid-air, then jump off it',
+            ka: 'კედელზე სრიალი: ჰაერში მაღალი ხისკენ გაიწიე და მისგან გადახტი'
+        },
+    },
+};
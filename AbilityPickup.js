@@ -0,0 +1,111 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { ABILITIES } from './AbilityData.js';
+import { COLLISION_LAYERS } from './CollisionSystem.js';
+import { GAME_EVENTS } from './EventBus.js';
+import { SparkleParticle } from './SparkleParticle.js';
+
+/**
+ * A floating crystal that unlocks a movement ability when the player touches it.
+ */
+export class AbilityPickup {
+    /**
+     * @param {Game} game The main game object.
+     * @param {number} x The x-coordinate of the crystal.
+     * @param {string} abilityId The ability it grants, a key of ABILITIES.
+     */
+    constructor(game, x, abilityId) {
+        const ability = ABILITIES[abilityId];
+        if (!ability) {
+            throw new Error(`Unknown ability: ${abilityId}`);
+        }
+
+        this.game = game;
+        this.abilityId = abilityId;
+        this.color = ability.color;
+        this.width = 30;
+        this.height = 40;
+        this.x = x;
+        this.restY = this.game.environment.groundLevel - 110; // Floats at about the player's chest
+        this.y = this.restY;
+
+        this.floatTimer = 0; // Drives the bobbing
+        this.sparkles = [];
+        this.sparkleTimer = 0;
+        this.sparkleInterval = 120; // ms between sparkles
+        this.markedForDeletion = false;
+
+        this.game.collisions.add({
+            owner: this,
+            layer: COLLISION_LAYERS.SCENERY,
+            mask: COLLISION_LAYERS.PLAYER,
+            getBounds: () => ({ x: this.x, y: this.y, width: this.width, height: this.height }),
+            isActive: () => !this.markedForDeletion,
+            onHit: () => this.collect(),
+        });
+    }
+
+    /**
+     * Grants the ability to the player and removes the crystal.
+     */
+    collect() {
+        const player = this.game.player;
+        if (this.markedForDeletion || player.isDead || player.isFrozen) return;
+        player.unlockAbility(this.abilityId);
+        this.markedForDeletion = true;
+        this.game.events.emit(GAME_EVENTS.ABILITY_UNLOCKED, { ability: this.abilityId, player, pickup: this });
+    }
+
+    /**
+     * Bobs the crystal up and down and keeps it sparkling.
+     * @param {number} deltaTime - Time since the last frame.
+     */
+    update(deltaTime) {
+        this.floatTimer += deltaTime;
+        this.y = this.restY + Math.sin(this.floatTimer / 400) * 6;
+
+        this.sparkleTimer += deltaTime;
+        if (this.sparkleTimer > this.sparkleInterval) {
+            this.sparkleTimer = 0;
+            this.sparkles.push(new SparkleParticle(this, 5));
+        }
+        this.sparkles.forEach(sparkle => sparkle.update());
+        this.sparkles = this.sparkles.filter(sparkle => !sparkle.markedForDeletion);
+    }
+
+    /**
+     * Draws the crystal as a glowing diamond in the ability's color, and its sparkles.
+     * @param {CanvasRenderingContext2D} context The drawing context.
+     */
+    draw(context) {
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+
+        context.save();
+        context.shadowColor = this.color;
+        context.shadowBlur = 20 + Math.sin(this.floatTimer / 200) * 6;
+        context.fillStyle = this.color;
+        context.beginPath();
+        context.moveTo(centerX, this.y);
+        context.lineTo(this.x + this.width, centerY);
+        context.lineTo(centerX, this.y + this.height);
+        context.lineTo(this.x, centerY);
+        context.closePath();
+        context.fill();
+
+        // A pale facet for shine
+        context.shadowBlur = 0;
+        context.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        context.beginPath();
+        context.moveTo(centerX, this.y + 4);
+        context.lineTo(centerX + this.width / 4, centerY);
+        context.lineTo(centerX, centerY);
+        context.closePath();
+        context.fill();
+        context.restore();
+
+        this.sparkles.forEach(sparkle => sparkle.draw(context));
+    }
+}
@@ -13,9 +13,11 @@ export class AnimationManager {
      * @param {object} entity - The game object instance this manager belongs to (e.g., Player, Enemy).
      * @param {Object.<string, {urls: string[], speed: number, loop: boolean}>} animationsConfig - An object defining animation states.
      * @param {string} characterType - A string to identify the character type (e.g., 'Player' or 'Enemy') to select the correct idle animation.
+     * @param {{loadImage: function(string): Promise<Object>}} assetLoader - The adapter used to load the frame images.
      */
-    constructor(entity, animationsConfig, characterType = 'Player') {
+    constructor(entity, animationsConfig, characterType = 'Player', assetLoader) {
         this.entity = entity;
+        this.assetLoader = assetLoader;
         this.animations = {}; // Will store loaded images and config
         this.isLoaded = false;
         this.characterType = characterType;
@@ -54,14 +56,8 @@ export class AnimationManager {
             };
 
             for (const url of animData.urls) {
-                const promise = new Promise((resolve, reject) => {
-                    const img = new Image();
-                    img.onload = () => {
-                        this.animations[name].images.push(img);
-                        resolve();
-                    };
-                    img.onerror = () => reject(`Failed to load image: ${url}`);
-                    img.src = url;
+                const promise = this.assetLoader.loadImage(url).then(img => {
+                    this.animations[name].images.push(img);
                 });
                 promises.push(promise);
             }
@@ -111,7 +107,9 @@ export class AnimationManager {
      * @param {number} deltaTime - Time since the last frame in milliseconds.
      */
     update(deltaTime) {
-        if (!this.currentAnimation || !this.isLoaded) return;
+        // Frames advance even while images are still loading: gameplay reads the current
+        // frame, and it must not depend on how fast the network is (replays, headless runs).
+        if (!this.currentAnimation) return;
 
         this.frameTimer += deltaTime;
         if (this.frameTimer > this.currentAnimation.speed) {
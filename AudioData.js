@@ -13,6 +13,7 @@
 export const AUDIO_DATA = {
     // Looping background music
     backgroundMusic: 'Audio/BackMusic.mp3',
+    bossMusic: 'Audio/BackMusic.mp3', // Placeholder until the boss fight gets its own file; played slowed down
 
     // Player sound effects (provide arrays for random selection)
     pistolShoot: [
@@ -29,6 +30,10 @@ export const AUDIO_DATA = {
         'Audio/GirlJump1.mp3',
         'Audio/GirlJump2.mp3',
     ],
+    dash: [ // Stand-in until the dash gets a sound of its own: the knife's whooshes, played slowed down
+        'Audio/Melee3.mp3',
+        'Audio/Melee5.mp3'
+    ],
     footsteps: [
         'Audio/GirlFootSteps.mp3',
     ],
@@ -44,6 +49,13 @@ export const AUDIO_DATA = {
     
     // Object sound effects
     chestOpen: 'Audio/ChestOpens.mp3',
+    abilityUnlock: 'Audio/ChestOpens.mp3', // Stand-in until ability pickups get a sound of their own: the chest's chime, slowed down
+
+    // Loot pickups. These are stand-ins until the pickups get sounds of their own: the chest's
+    // chime, played faster for coins and health (see 'soundRate' in LootData.js), and a pistol click.
+    coinPickup: 'Audio/ChestOpens.mp3',
+    healthPickup: 'Audio/ChestOpens.mp3',
+    ammoPickup: 'Audio/Pistol2.mp3',
 
     // Ambient background screams
     scream: [
@@ -15,8 +15,26 @@ export class AudioManager {
         this.buffers = {};
         this.isLoaded = false;
         this.backgroundMusicSource = null;
+        this.currentMusicKey = null; // The AudioData key of the track that is playing
         this.loopingSources = {}; // To manage stoppable, looping sounds
+        this.random = null; // Seeded random source, provided by the game
         this.screamTimeout = null; // To hold the timeout ID for random screams
+        this.screamsActive = false; // Whether random screams should be running
+        this.isSuspended = false;
+
+        // Separate volume channels so music and effects can be toggled independently
+        this.musicGain = null;
+        this.sfxGain = null;
+        this.musicVolume = 1;
+        this.sfxVolume = 1;
+    }
+
+    /**
+     * Sets the random source used to pick sound variations and scream delays.
+     * @param {Random} random A seeded random generator.
+     */
+    setRandom(random) {
+        this.random = random;
     }
 
     /**
@@ -26,6 +44,12 @@ export class AudioManager {
         if (!this.audioContext) {
             try {
                 this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+                this.musicGain = this.audioContext.createGain();
+                this.musicGain.gain.value = this.musicVolume;
+                this.musicGain.connect(this.audioContext.destination);
+                this.sfxGain = this.audioContext.createGain();
+                this.sfxGain.gain.value = this.sfxVolume;
+                this.sfxGain.connect(this.audioContext.destination);
                 console.log("AudioContext created successfully.");
             } catch (e) {
                 console.error("Web Audio API is not supported in this browser.", e);
@@ -33,6 +57,60 @@ export class AudioManager {
         }
     }
 
+    /**
+     * Sets the volume of the background music channel.
+     * @param {number} volume A value between 0 (muted) and 1 (full volume).
+     */
+    setMusicVolume(volume) {
+        this.musicVolume = volume;
+        if (this.musicGain) {
+            this.musicGain.gain.value = volume;
+        }
+    }
+
+    /**
+     * Sets the volume of the sound effects channel (including looping effects and screams).
+     * @param {number} volume A value between 0 (muted) and 1 (full volume).
+     */
+    setSfxVolume(volume) {
+        this.sfxVolume = volume;
+        if (this.sfxGain) {
+            this.sfxGain.gain.value = volume;
+        }
+    }
+
+    /**
+     * Freezes all audio: suspends the context (which holds music and looping sounds
+     * where they are) and stops the random scream timer.
+     */
+    suspend() {
+        if (this.isSuspended) return;
+        this.isSuspended = true;
+
+        if (this.screamTimeout) {
+            clearTimeout(this.screamTimeout);
+            this.screamTimeout = null;
+        }
+        if (this.audioContext && this.audioContext.state === 'running') {
+            this.audioContext.suspend();
+        }
+    }
+
+    /**
+     * Resumes audio after a call to suspend(), restarting the scream timer if it was running.
+     */
+    resume() {
+        if (!this.isSuspended) return;
+        this.isSuspended = false;
+
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+        if (this.screamsActive) {
+            this.scheduleNextScream();
+        }
+    }
+
     /**
      * Loads all audio files defined in AudioData.js into AudioBuffers.
      * @returns {Promise<void>} A promise that resolves when all audio is loaded.
@@ -80,13 +158,14 @@ export class AudioManager {
      * Plays a sound effect.
      * @param {string} key - The key of the sound in AudioData (e.g., 'pistolShoot').
      * @param {boolean} [isRandom=false] - If true, plays a random sound from the array.
+     * @param {number} [playbackRate=1] - Playback speed; above 1 also raises the pitch.
      */
-    playSound(key, isRandom = false) {
+    playSound(key, isRandom = false, playbackRate = 1) {
         if (!this.isLoaded || !this.audioContext || !this.buffers[key] || this.buffers[key].length === 0) return;
         
         let buffer;
         if (isRandom) {
-            const randomIndex = Math.floor(Math.random() * this.buffers[key].length);
+            const randomIndex = Math.floor(this.random.next() * this.buffers[key].length);
             buffer = this.buffers[key][randomIndex];
         } else {
             buffer = this.buffers[key][0];
@@ -95,28 +174,34 @@ export class AudioManager {
         if (buffer) {
             const source = this.audioContext.createBufferSource();
             source.buffer = buffer;
-            source.connect(this.audioContext.destination);
+            source.playbackRate.value = playbackRate;
+            source.connect(this.sfxGain);
             source.start(0);
         }
     }
 
     /**
-     * Plays the background music on a loop.
+     * Plays a music track on a loop, replacing the one playing. Does nothing if the track is already playing.
+     * @param {string} [key='backgroundMusic'] - The key of the track in AudioData (e.g., 'bossMusic').
+     * @param {number} [playbackRate=1] - Playback speed; below 1 also lowers the pitch.
      */
-    playBackgroundMusic() {
+    playBackgroundMusic(key = 'backgroundMusic', playbackRate = 1) {
+        if (!this.isLoaded || !this.audioContext || !this.buffers[key] || this.buffers[key].length === 0) return;
+        if (this.backgroundMusicSource && this.currentMusicKey === key) return;
+
         if (this.backgroundMusicSource) {
             this.backgroundMusicSource.stop();
         }
-        
-        if (!this.isLoaded || !this.audioContext || !this.buffers.backgroundMusic || this.buffers.backgroundMusic.length === 0) return;
 
         const source = this.audioContext.createBufferSource();
-        source.buffer = this.buffers.backgroundMusic[0];
+        source.buffer = this.buffers[key][0];
         source.loop = true;
-        source.connect(this.audioContext.destination);
+        source.playbackRate.value = playbackRate;
+        source.connect(this.musicGain);
         source.start(0);
 
         this.backgroundMusicSource = source;
+        this.currentMusicKey = key;
     }
 
     /**
@@ -131,7 +216,7 @@ export class AudioManager {
         const source = this.audioContext.createBufferSource();
         source.buffer = this.buffers[key][0];
         source.loop = true;
-        source.connect(this.audioContext.destination);
+        source.connect(this.sfxGain);
         source.start(0);
         
         this.loopingSources[key] = source;
@@ -156,13 +241,17 @@ export class AudioManager {
             console.warn("Scream audio not loaded, cannot start random screams.");
             return;
         }
-        this.scheduleNextScream();
+        this.screamsActive = true;
+        if (!this.isSuspended) {
+            this.scheduleNextScream();
+        }
     }
 
     /**
      * Stops the loop of random screams.
      */
     stopRandomScreams() {
+        this.screamsActive = false;
         if (this.screamTimeout) {
             clearTimeout(this.screamTimeout);
             this.screamTimeout = null;
@@ -173,11 +262,14 @@ export class AudioManager {
      * Schedules the next random scream to be played after a random delay.
      */
     scheduleNextScream() {
-        this.stopRandomScreams(); // Clear existing timeout to prevent overlaps
+        // Clear existing timeout to prevent overlaps
+        if (this.screamTimeout) {
+            clearTimeout(this.screamTimeout);
+        }
 
         const minDelay = 5000; // 5 seconds
         const maxDelay = 10000; // 10 seconds
-        const delay = Math.random() * (maxDelay - minDelay) + minDelay;
+        const delay = this.random.next() * (maxDelay - minDelay) + minDelay;
 
         this.screamTimeout = setTimeout(() => {
             this.playSound('scream', true); // Play a random scream
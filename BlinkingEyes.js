@@ -2,6 +2,7 @@
  * @license
  * SPDX-License-Identifier: Apache-2.0
  */
+import { COLLISION_LAYERS } from './CollisionSystem.js';
 
 /**
  * Represents a pair of spooky, blinking eyes that appear in bushes and watch the player.
@@ -45,6 +46,17 @@ export class BlinkingEyes {
         this.fadeInDuration = 1000;    // 1 second to fade back in
         this.baseAlpha = 0.85; // Store the initial alpha
         this.alpha = this.baseAlpha;
+
+        // A knife swing or a bullet passing through the scare zone frightens the eyes away.
+        // Bullets are not used up by this; they fly on.
+        this.game.collisions.add({
+            owner: this,
+            layer: COLLISION_LAYERS.SCENERY,
+            mask: COLLISION_LAYERS.PLAYER_ATTACK | COLLISION_LAYERS.PLAYER_PROJECTILE,
+            getBounds: () => this.getScareZone(),
+            isActive: () => !this.isScared,
+            onHit: () => this.scareAway(),
+        });
     }
 
     /**
@@ -52,7 +64,18 @@ export class BlinkingEyes {
      * @returns {number} Time in milliseconds.
      */
     getRandomBlinkInterval() {
-        return Math.random() * 4000 + 2000; // Blink every 2 to 6 seconds
+        return this.game.random.next() * 4000 + 2000; // Blink every 2 to 6 seconds
+    }
+
+    /**
+     * Gets the area around the eyes that scares them away when hit.
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getScareZone() {
+        return {
+            x: this.x - 20, y: this.y - 20,
+            width: 40, height: 40,
+        };
     }
 
     /**
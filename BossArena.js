@@ -0,0 +1,165 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { GAME_EVENTS } from './EventBus.js';
+
+/**
+ * The stretch of the level where a boss guards a treasure chest.
+ * Walking in starts the fight: the camera locks to the arena, gates of mist close it off and
+ * the boss wakes up. The chest stays locked until the boss is defeated. If the player dies,
+ * the fight starts over the next time they walk in.
+ */
+export class BossArena {
+    /**
+     * @param {Game} game The main game object.
+     * @param {{left: number, right: number, triggerX: number}} bounds The arena's edges, and how far
+     *     the player must walk in for the fight to start.
+     * @param {Enemy|null} boss The boss, or null if it was already defeated in a saved game.
+     * @param {TreasureChest|null} chest The chest the boss guards.
+     */
+    constructor(game, { left, right, triggerX }, boss, chest) {
+        this.game = game;
+        this.left = left;
+        this.right = right;
+        this.triggerX = triggerX;
+        this.boss = boss;
+        this.chest = chest;
+        this.x = left;
+        this.y = 0;
+        this.width = right - left;
+        this.height = game.height;
+
+        this.state = boss ? 'waiting' : 'defeated'; // 'waiting', 'active' or 'defeated'
+        this.gateTimer = 0; // Drives the swirl of the mist gates
+        if (this.chest) {
+            this.chest.isLocked = !!boss;
+        }
+    }
+
+    /**
+     * Gets the stretch the player may move in: the arena during the fight, otherwise null.
+     * @returns {{left: number, right: number}|null}
+     */
+    getPlayerBounds() {
+        return this.state === 'active' ? { left: this.left, right: this.right } : null;
+    }
+
+    /**
+     * Starts the fight when the player walks in and ends it when the boss falls.
+     * @param {number} deltaTime - Time since the last frame.
+     */
+    update(deltaTime) {
+        const player = this.game.player;
+        if (this.state === 'waiting' && player && !player.isDead && player.x >= this.triggerX) {
+            this.start();
+        } else if (this.state === 'active') {
+            this.gateTimer += deltaTime;
+            if (this.boss.isDead) {
+                this.finish();
+            } else {
+                // The boss may not be lured out of its arena either.
+                this.boss.x = Math.max(this.left, Math.min(this.boss.x, this.right - this.boss.width));
+            }
+        }
+    }
+
+    /**
+     * Closes the arena and wakes the boss.
+     */
+    start() {
+        this.state = 'active';
+        this.gateTimer = 0;
+        this.game.camera.lockTo(this.left, this.right);
+        this.boss.wake();
+        this.game.events.emit(GAME_EVENTS.BOSS_FIGHT_STARTED, { arena: this, boss: this.boss });
+    }
+
+    /**
+     * Opens the arena and unlocks the chest.
+     */
+    finish() {
+        this.state = 'defeated';
+        this.game.camera.unlock();
+        if (this.chest) {
+            this.chest.isLocked = false;
+        }
+        this.game.events.emit(GAME_EVENTS.BOSS_DEFEATED, { arena: this, boss: this.boss });
+    }
+
+    /**
+     * Calls off a fight the player lost: the arena opens and the boss goes back to sleep, healed.
+     */
+    resetFight() {
+        if (this.state !== 'active') return;
+        this.state = 'waiting';
+        this.game.camera.unlock();
+        this.boss.resetForRetry();
+        this.game.events.emit(GAME_EVENTS.BOSS_FIGHT_RESET, { arena: this, boss: this.boss });
+    }
+
+    /**
+     * Draws the mist gates that close off the arena during the fight.
+     * @param {CanvasRenderingContext2D} context The drawing context.
+     */
+    draw(context) {
+        if (this.state !== 'active') return;
+
+        const groundLevel = this.game.environment.groundLevel;
+        const gateWidth = 40;
+        const swirl = Math.sin(this.gateTimer / 300) * 0.15;
+
+        context.save();
+        [this.left, this.right - gateWidth].forEach(gateX => {
+            const gradient = context.createLinearGradient(0, groundLevel, 0, 0);
+            gradient.addColorStop(0, `rgba(120, 90, 200, ${0.55 + swirl})`);
+            gradient.addColorStop(1, 'rgba(120, 90, 200, 0)');
+            context.fillStyle = gradient;
+            context.fillRect(gateX, 0, gateWidth, groundLevel);
+        });
+        context.restore();
+    }
+
+    /**
+     * Draws the boss's name and health bar along the bottom of the screen during the fight.
+     * @param {CanvasRenderingContext2D} context The drawing context.
+     */
+    drawHealthBar(context) {
+        if (this.state !== 'active') return;
+
+        const game = this.game;
+        const boss = this.boss;
+        const barWidth = game.width * 0.6;
+        const barHeight = 18;
+        const barX = (game.width - barWidth) / 2;
+        const barY = game.height - 50;
+        const healthPercentage = boss.health / boss.maxHealth;
+        const name = boss.name ? boss.name[game.selectedLanguage] || boss.name.en : '';
+
+        context.save();
+        context.font = '22px "Georgia", serif';
+        context.textAlign = 'center';
+        context.textBaseline = 'bottom';
+        context.fillStyle = '#f0e6d2';
+        context.shadowColor = 'rgba(0, 0, 0, 0.9)';
+        context.shadowBlur = 6;
+        context.fillText(name, game.width / 2, barY - 6);
+        context.shadowBlur = 0;
+
+        context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        context.fillRect(barX, barY, barWidth, barHeight);
+        context.fillStyle = '#8b0000';
+        context.fillRect(barX, barY, barWidth * healthPercentage, barHeight);
+
+        // Marks where the next phases begin
+        context.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        boss.phases.slice(boss.phaseIndex).forEach(phase => {
+            context.fillRect(barX + barWidth * phase.healthBelow - 1, barY, 2, barHeight);
+        });
+
+        context.strokeStyle = '#c9b37e';
+        context.lineWidth = 2;
+        context.strokeRect(barX, barY, barWidth, barHeight);
+        context.restore();
+    }
+}
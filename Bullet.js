@@ -1,39 +1,128 @@
-
-
 /**
  * @license
  * SPDX-License-Identifier: Apache-2.0
  */
+import { COLLISION_LAYERS } from './CollisionSystem.js';
+import { rectsOverlap } from './Collision.js';
 
 /**
- * Represents a projectile fired by the player.
+ * Represents a projectile: the player's bullets, or the skulls thrown by ranged enemies.
+ * The faction decides whom it hurts; projectiles with gravity fly in an arc, and can be
+ * set to break on platforms and the ground.
  */
 export class Bullet {
-    constructor(game, x, y, direction) {
+    /**
+     * @param {Game} game The main game object.
+     * @param {number} x The starting x-coordinate.
+     * @param {number} y The starting y-coordinate.
+     * @param {string} direction 'left' or 'right'.
+     * @param {Object} [options]
+     * @param {object|null} [options.owner=null] Who fired it.
+     * @param {string} [options.faction='player'] 'player' hurts enemies; 'enemy' hurts the player and can be cut down by the knife.
+     * @param {number} [options.speed=15] Horizontal speed in pixels per tick.
+     * @param {number} [options.speedY=0] Starting vertical speed in pixels per tick.
+     * @param {number} [options.gravity=0] Added to the vertical speed every tick.
+     * @param {number} [options.damage=20]
+     * @param {number} [options.maxDistance=700] Horizontal range in pixels; the projectile fades out near its end.
+     * @param {boolean} [options.isBlockedByLevel=false] Whether platforms and the ground stop it.
+     * @param {string} [options.style='bullet'] How it looks: 'bullet' or 'skull'.
+     */
+    constructor(game, x, y, direction, {
+        owner = null,
+        faction = 'player',
+        speed = 15,
+        speedY = 0,
+        gravity = 0,
+        damage = 20,
+        maxDistance = 700,
+        isBlockedByLevel = false,
+        style = 'bullet'
+    } = {}) {
         this.game = game;
-        this.width = 15;
-        this.height = 5;
+        this.owner = owner;
+        this.faction = faction;
+        this.style = style;
+        this.width = style === 'skull' ? 18 : 15;
+        this.height = style === 'skull' ? 18 : 5;
         this.x = x;
         this.y = y;
         this.direction = direction;
-        
-        this.speed = 15;
-        this.damage = 20; // Corrected damage
-        
+
+        this.speed = speed;
+        this.damage = damage;
+
         this.speedX = this.direction === 'right' ? this.speed : -this.speed;
-        
+        this.speedY = speedY;
+        this.gravity = gravity;
+        this.isBlockedByLevel = isBlockedByLevel;
+        this.rotation = 0; // Skulls tumble as they fly
+
         this.markedForDeletion = false;
-        
+
         this.startX = x;
-        this.maxDistance = 700; // Corrected max travel distance in pixels
+        this.maxDistance = maxDistance;
         this.alpha = 1;
+
+        const isEnemyProjectile = faction === 'enemy';
+        this.game.collisions.add({
+            owner: this,
+            layer: isEnemyProjectile ? COLLISION_LAYERS.ENEMY_PROJECTILE : COLLISION_LAYERS.PLAYER_PROJECTILE,
+            // The knife can knock enemy projectiles out of the air.
+            mask: isEnemyProjectile ? COLLISION_LAYERS.PLAYER | COLLISION_LAYERS.PLAYER_ATTACK : COLLISION_LAYERS.ENEMY,
+            getBounds: () => this,
+            onHit: other => {
+                if (other.layer === COLLISION_LAYERS.PLAYER_ATTACK) {
+                    this.shatter();
+                } else {
+                    this.onHitTarget(other.owner);
+                }
+            },
+        });
+    }
+
+    /**
+     * Damages whatever the projectile ran into and uses the projectile up.
+     * @param {Enemy|Player} target The enemy or player that was hit.
+     */
+    onHitTarget(target) {
+        target.takeDamage(this.damage, this.x + this.width / 2, this.y + this.height / 2, 'projectile');
+        this.markedForDeletion = true;
+    }
+
+    /**
+     * Breaks the projectile apart with a small puff of dust.
+     */
+    shatter() {
+        this.game.createDustEffect(this.x + this.width / 2, this.y + this.height / 2, this.direction);
+        this.markedForDeletion = true;
+    }
+
+    /**
+     * Checks whether the projectile ran into a platform or the ground.
+     * @returns {boolean}
+     */
+    isHittingLevel() {
+        const environment = this.game.environment;
+        return this.y + this.height >= environment.groundLevel ||
+            environment.platforms.some(platform => rectsOverlap(this, platform));
     }
 
     /**
-     * Updates the bullet's position and checks for world boundaries and max range.
+     * Updates the projectile's position and checks for obstacles, world boundaries and max range.
      */
     update() {
         this.x += this.speedX;
+        this.speedY += this.gravity;
+        this.y += this.speedY;
+        if (this.style === 'skull') {
+            this.rotation += this.speedX * 0.02;
+        }
+
+        if (this.isBlockedByLevel && this.isHittingLevel()) {
+            this.shatter();
+            return;
+        }
+
         const distanceTraveled = Math.abs(this.x - this.startX);
 
         // Fade out logic
@@ -50,22 +139,54 @@ export class Bullet {
     }
 
     /**
-     * Draws the bullet with a glowing effect.
+     * Draws the projectile: a glowing bullet or a tumbling skull.
      * @param {CanvasRenderingContext2D} context
      */
     draw(context) {
         context.save();
         context.globalAlpha = Math.max(0, this.alpha);
-        
+
+        if (this.style === 'skull') {
+            this.drawSkull(context);
+            context.restore();
+            return;
+        }
+
         // Main bullet color
         context.fillStyle = '#fff';
         context.shadowColor = '#f0e68c'; // Khaki glow
         context.shadowBlur = 15;
-        
+
         context.beginPath();
         context.roundRect(this.x, this.y, this.width, this.height, 4);
         context.fill();
 
         context.restore();
     }
-}
\ No newline at end of file
+
+    /**
+     * Draws a small skull with a greenish glow.
+     * @param {CanvasRenderingContext2D} context
+     */
+    drawSkull(context) {
+        const radius = this.width / 2;
+        context.translate(this.x + radius, this.y + radius);
+        context.rotate(this.rotation);
+
+        context.fillStyle = '#e8e4d8';
+        context.shadowColor = '#9acd32'; // Yellow-green glow
+        context.shadowBlur = 12;
+        context.beginPath();
+        context.arc(0, -2, radius, 0, Math.PI * 2);
+        context.fill();
+        context.fillRect(-radius * 0.55, radius * 0.4, radius * 1.1, radius * 0.6); // Jaw
+
+        // Eye sockets
+        context.shadowBlur = 0;
+        context.fillStyle = '#1a1a1a';
+        context.beginPath();
+        context.arc(-radius * 0.4, -2, radius * 0.28, 0, Math.PI * 2);
+        context.arc(radius * 0.4, -2, radius * 0.28, 0, Math.PI * 2);
+        context.fill();
+    }
+}
@@ -19,6 +19,23 @@ export class Camera {
         
         this.x = 0;
         this.y = 0; // Camera y-position, can be used for vertical scrolling in the future.
+        this.lockedBounds = null; // {left, right} the view is held within, e.g. during a boss fight
+    }
+
+    /**
+     * Holds the view within a stretch of the world until unlock() is called.
+     * @param {number} left The world x-coordinate of the stretch's left edge.
+     * @param {number} right The world x-coordinate of the stretch's right edge.
+     */
+    lockTo(left, right) {
+        this.lockedBounds = { left, right };
+    }
+
+    /**
+     * Lets the view follow its target across the whole world again.
+     */
+    unlock() {
+        this.lockedBounds = null;
     }
 
     /**
@@ -29,7 +46,9 @@ export class Camera {
         // Center the camera on the target's horizontal position.
         let targetX = target.x + target.width / 2 - this.gameWidth / 2;
         
-        // Clamp the camera's x-position to stay within the world boundaries.
-        this.x = Math.max(0, Math.min(targetX, this.worldWidth - this.gameWidth));
+        // Clamp the camera's x-position to stay within the world boundaries (or the locked stretch).
+        const left = this.lockedBounds ? this.lockedBounds.left : 0;
+        const right = this.lockedBounds ? this.lockedBounds.right : this.worldWidth;
+        this.x = Math.max(left, Math.min(targetX, right - this.gameWidth));
     }
 }
\ No newline at end of file
@@ -0,0 +1,105 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { COLLISION_LAYERS } from './CollisionSystem.js';
+import { GAME_EVENTS } from './EventBus.js';
+
+/**
+ * A grave lantern that lights up when the player walks past it.
+ * The player respawns at the last lantern they lit after dying.
+ */
+export class Checkpoint {
+    /**
+     * @param {Game} game The main game object.
+     * @param {number} x The x-coordinate of the lantern post.
+     */
+    constructor(game, x) {
+        this.game = game;
+        this.width = 24;
+        this.height = 90;
+        this.x = x;
+        this.y = this.game.environment.groundLevel - this.height;
+
+        this.isLit = false;
+        this.flickerTimer = 0; // Drives the flame's flicker while lit
+
+        this.game.collisions.add({
+            owner: this,
+            layer: COLLISION_LAYERS.SCENERY,
+            mask: COLLISION_LAYERS.PLAYER,
+            getBounds: () => ({ x: this.x, y: this.y, width: this.width, height: this.height }),
+            isActive: () => !this.isLit,
+            onHit: () => this.light(),
+        });
+    }
+
+    /**
+     * Lights the lantern and announces it as the new respawn point.
+     */
+    light() {
+        if (this.isLit) return;
+        this.restoreLit();
+        this.game.events.emit(GAME_EVENTS.CHECKPOINT_REACHED, { checkpoint: this });
+    }
+
+    /**
+     * Lights the lantern without announcing it. Used when a saved game is continued.
+     */
+    restoreLit() {
+        this.isLit = true;
+    }
+
+    /**
+     * Gets where the player stands when respawning at this lantern.
+     * @param {Player} player The player to place.
+     * @returns {{x: number, y: number}}
+     */
+    getRespawnPoint(player) {
+        return {
+            x: this.x + this.width / 2 - player.width / 2,
+            y: this.game.environment.groundLevel - player.height + player.verticalOffset
+        };
+    }
+
+    /**
+     * Advances the flame's flicker.
+     * @param {number} deltaTime - Time since the last frame.
+     */
+    update(deltaTime) {
+        if (this.isLit) {
+            this.flickerTimer += deltaTime;
+        }
+    }
+
+    /**
+     * Draws the post and the lantern, glowing once lit.
+     * @param {CanvasRenderingContext2D} context The drawing context.
+     */
+    draw(context) {
+        const centerX = this.x + this.width / 2;
+        const lanternY = this.y + 12;
+
+        context.save();
+
+        // Post
+        context.fillStyle = '#2b2b33';
+        context.fillRect(centerX - 3, lanternY, 6, this.height - 12);
+
+        // Lantern body
+        context.fillStyle = this.isLit ? 'rgba(255, 190, 90, 0.9)' : 'rgba(90, 100, 120, 0.8)';
+        if (this.isLit) {
+            context.shadowColor = '#ffb347';
+            context.shadowBlur = 18 + Math.sin(this.flickerTimer / 90) * 4;
+        }
+        context.fillRect(this.x, this.y, this.width, 24);
+        context.shadowBlur = 0;
+
+        // Frame
+        context.strokeStyle = '#15151a';
+        context.lineWidth = 2;
+        context.strokeRect(this.x, this.y, this.width, 24);
+
+        context.restore();
+    }
+}
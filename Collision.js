@@ -0,0 +1,133 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * Shape tests and the platform-landing rule shared by everything that walks.
+ * All rectangles are plain {x, y, width, height} objects in world coordinates.
+ */
+
+/**
+ * Checks whether two rectangles overlap (touching edges do not count).
+ * @param {{x: number, y: number, width: number, height: number}} a
+ * @param {{x: number, y: number, width: number, height: number}} b
+ * @returns {boolean}
+ */
+export function rectsOverlap(a, b) {
+    return a.x < b.x + b.width &&
+        a.x + a.width > b.x &&
+        a.y < b.y + b.height &&
+        a.y + a.height > b.y;
+}
+
+/**
+ * Checks whether a point lies inside a rectangle.
+ * @param {number} x
+ * @param {number} y
+ * @param {{x: number, y: number, width: number, height: number}} rect
+ * @returns {boolean}
+ */
+export function rectContainsPoint(x, y, rect) {
+    return x >= rect.x && x < rect.x + rect.width &&
+        y >= rect.y && y < rect.y + rect.height;
+}
+
+/**
+ * Checks whether a circle overlaps a rectangle.
+ * @param {number} centerX
+ * @param {number} centerY
+ * @param {number} radius
+ * @param {{x: number, y: number, width: number, height: number}} rect
+ * @returns {boolean}
+ */
+export function circleOverlapsRect(centerX, centerY, radius, rect) {
+    const closestX = Math.max(rect.x, Math.min(centerX, rect.x + rect.width));
+    const closestY = Math.max(rect.y, Math.min(centerY, rect.y + rect.height));
+    const dx = centerX - closestX;
+    const dy = centerY - closestY;
+    return dx * dx + dy * dy < radius * radius;
+}
+
+/**
+ * Lands a falling body on a platform or the ground after it has moved this tick.
+ * Platforms only catch a body that was above them before the move. One-way platforms can be
+ * jumped through from below and dropped through from above (see dropThroughPlatform); solid
+ * ones stop a body rising into them. The body is snapped onto the surface and stopped.
+ * @param {object} body A Player or Enemy: anything with getHitbox(), y, height, speedY and verticalOffset,
+ *     and optionally dropThroughPlatform, a one-way platform the body is falling through on purpose.
+ * @param {number} previousY The body's y before this tick's vertical move.
+ * @param {Environment} environment The level geometry (platforms and ground level).
+ * @returns {boolean} Whether the body is standing on a surface.
+ */
+export function landOnSurfaces(body, previousY, environment) {
+    const hitbox = body.getHitbox();
+
+    // A platform being dropped through is let go of once the feet have passed its top.
+    const droppingThrough = body.dropThroughPlatform;
+    if (droppingThrough && previousY + body.height > droppingThrough.y + body.verticalOffset) {
+        body.dropThroughPlatform = null;
+    }
+
+    // Head bumps against the underside of solid platforms
+    if (body.speedY < 0) {
+        const topOffset = hitbox.y - body.y;
+        for (const platform of environment.platforms) {
+            const bottom = platform.y + platform.height;
+            if (
+                platform.isSolid &&
+                hitbox.x < platform.x + platform.width &&
+                hitbox.x + hitbox.width > platform.x &&
+                previousY + topOffset >= bottom &&
+                hitbox.y < bottom
+            ) {
+                body.y = bottom - topOffset;
+                body.speedY = 0;
+                return false;
+            }
+        }
+    }
+
+    // Platform collision (only check if falling or on it)
+    if (body.speedY >= 0) {
+        for (const platform of environment.platforms) {
+            if (platform === body.dropThroughPlatform) continue;
+            // Check for horizontal overlap and if the body was previously above the platform
+            if (
+                hitbox.x < platform.x + platform.width &&
+                hitbox.x + hitbox.width > platform.x &&
+                previousY + body.height <= platform.y + body.verticalOffset &&
+                body.y + body.height >= platform.y
+            ) {
+                body.y = platform.y - body.height + body.verticalOffset; // Snap to the top of the platform with offset
+                body.speedY = 0;
+                return true;
+            }
+        }
+    }
+
+    // Ground collision (if no platform was landed on)
+    if (body.y + body.height > environment.groundLevel + body.verticalOffset) {
+        body.y = environment.groundLevel - body.height + body.verticalOffset; // Snap to ground with offset
+        body.speedY = 0;
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Finds the platform a body is standing on.
+ * @param {object} body A Player or Enemy: anything with getHitbox(), y, height and verticalOffset.
+ * @param {Environment} environment The level geometry.
+ * @returns {Object|null} The platform, or null when the body is on the ground or in the air.
+ */
+export function findPlatformUnderFeet(body, environment) {
+    const hitbox = body.getHitbox();
+    const feetY = body.y + body.height - body.verticalOffset;
+    return environment.platforms.find(platform =>
+        hitbox.x < platform.x + platform.width &&
+        hitbox.x + hitbox.width > platform.x &&
+        Math.abs(feetY - platform.y) < 1
+    ) || null;
+}
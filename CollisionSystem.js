@@ -0,0 +1,167 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { rectsOverlap } from './Collision.js';
+
+/**
+ * Collision layers, as bit flags. A collider sits on one layer and lists the layers it
+ * wants to hear about in its mask; it only gets an onHit callback for those.
+ */
+export const COLLISION_LAYERS = {
+    PLAYER: 1,
+    ENEMY: 2,
+    PLAYER_ATTACK: 4,     // The knife swing
+    PLAYER_PROJECTILE: 8, // Bullets
+    SCENERY: 16,          // Things that react to hits or touches, like the blinking eyes, checkpoints and loot
+    ENEMY_ATTACK: 32,     // An enemy's swing
+    ENEMY_PROJECTILE: 64, // Skulls thrown by ranged enemies
+};
+
+/**
+ * @typedef {Object} Collider
+ * @property {object} owner The object the collider belongs to. It is dropped once the owner is markedForDeletion.
+ * @property {number} layer The COLLISION_LAYERS flag the collider is on.
+ * @property {number} [mask=0] The layers this collider wants onHit callbacks for.
+ * @property {function(): {x: number, y: number, width: number, height: number}} getBounds The current shape.
+ * @property {function(Collider): void} [onHit] Called with the other collider on every tick they overlap.
+ * @property {function(): boolean} [isActive] Whether the collider currently takes part (e.g. only while swinging).
+ */
+
+/**
+ * Finds overlapping colliders and reports them through callbacks, so gameplay code
+ * doesn't have to loop over every pair of objects itself.
+ * A uniform grid is used as the broad phase: the world is a long horizontal strip, so
+ * it is cut into columns and only colliders sharing a column are tested against each other.
+ */
+export class CollisionSystem {
+    /**
+     * @param {number} worldWidth The width of the game world.
+     * @param {number} [cellSize=200] The width of a grid column in pixels.
+     */
+    constructor(worldWidth, cellSize = 200) {
+        this.worldWidth = worldWidth;
+        this.cellSize = cellSize;
+        this.columnCount = Math.ceil(worldWidth / cellSize);
+        this.colliders = [];
+    }
+
+    /**
+     * Registers a collider.
+     * @param {Collider} collider The collider to add.
+     * @returns {Collider} The collider, e.g. to remove it later.
+     */
+    add(collider) {
+        this.colliders.push({ mask: 0, onHit: null, isActive: null, ...collider });
+        return this.colliders[this.colliders.length - 1];
+    }
+
+    /**
+     * Unregisters a collider.
+     * @param {Collider} collider A collider returned by add().
+     */
+    remove(collider) {
+        this.colliders = this.colliders.filter(c => c !== collider);
+    }
+
+    /**
+     * Removes every collider, e.g. before the level is rebuilt.
+     */
+    clear() {
+        this.colliders = [];
+    }
+
+    /**
+     * Gets the range of grid columns a rectangle covers, clamped to the world.
+     * @param {{x: number, width: number}} bounds
+     * @returns {{first: number, last: number}}
+     */
+    getColumnRange(bounds) {
+        const clamp = column => Math.max(0, Math.min(this.columnCount - 1, column));
+        return {
+            first: clamp(Math.floor(bounds.x / this.cellSize)),
+            last: clamp(Math.floor((bounds.x + bounds.width) / this.cellSize)),
+        };
+    }
+
+    /**
+     * Tests all active colliders against each other and fires the onHit callbacks.
+     * Colliders are visited in the order they were added, which keeps the callbacks deterministic.
+     */
+    update() {
+        this.colliders = this.colliders.filter(c => !c.owner.markedForDeletion);
+
+        // --- Broad phase: sort the active colliders into grid columns ---
+        const active = [];
+        const columns = Array.from({ length: this.columnCount }, () => []);
+        this.colliders.forEach(collider => {
+            if (!this.isLive(collider)) return;
+            const entry = { collider, index: active.length, bounds: collider.getBounds() };
+            active.push(entry);
+            const range = this.getColumnRange(entry.bounds);
+            for (let column = range.first; column <= range.last; column++) {
+                columns[column].push(entry);
+            }
+        });
+
+        // --- Narrow phase: test each candidate pair once ---
+        const pairs = [];
+        const testedPairs = new Set();
+        columns.forEach(column => {
+            for (let i = 0; i < column.length; i++) {
+                for (let j = i + 1; j < column.length; j++) {
+                    const a = column[i];
+                    const b = column[j];
+                    if (!this.canInteract(a.collider, b.collider)) continue;
+
+                    const key = a.index * active.length + b.index;
+                    if (testedPairs.has(key)) continue;
+                    testedPairs.add(key);
+
+                    if (rectsOverlap(a.bounds, b.bounds)) {
+                        pairs.push([a, b]);
+                    }
+                }
+            }
+        });
+
+        // Report in registration order, regardless of which column found the pair first.
+        pairs.sort(([a1, b1], [a2, b2]) => (a1.index - a2.index) || (b1.index - b2.index));
+        pairs.forEach(([a, b]) => {
+            // An earlier callback this tick may have used up one of them (e.g. a bullet that hit already).
+            if (!this.isLive(a.collider) || !this.isLive(b.collider)) return;
+            this.notify(a.collider, b.collider);
+            this.notify(b.collider, a.collider);
+        });
+    }
+
+    /**
+     * Checks whether a collider currently takes part in collisions.
+     * @param {Collider} collider
+     * @returns {boolean}
+     */
+    isLive(collider) {
+        return !collider.owner.markedForDeletion && (!collider.isActive || collider.isActive());
+    }
+
+    /**
+     * Checks whether either of two colliders wants to hear about the other.
+     * @param {Collider} a
+     * @param {Collider} b
+     * @returns {boolean}
+     */
+    canInteract(a, b) {
+        return a.owner !== b.owner && ((a.mask & b.layer) !== 0 || (b.mask & a.layer) !== 0);
+    }
+
+    /**
+     * Tells a collider that it touches another, if its mask includes the other's layer.
+     * @param {Collider} collider The collider to notify.
+     * @param {Collider} other The collider it touches.
+     */
+    notify(collider, other) {
+        if ((collider.mask & other.layer) !== 0 && collider.onHit) {
+            collider.onHit(other);
+        }
+    }
+}
@@ -0,0 +1,94 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CollisionSystem, COLLISION_LAYERS } from './CollisionSystem.js';
+import { createHeadlessGame } from './Headless.js';
+
+/**
+ * Adds a collider around a box and records what it gets hit by.
+ * @param {CollisionSystem} collisions
+ * @param {string} name
+ * @param {{x: number, y: number, width?: number, height?: number}} box
+ * @param {Object} [options] layer, mask and isActive of the collider.
+ * @returns {{owner: Object, hits: string[]}}
+ */
+function addBox(collisions, name, { x, y, width = 50, height = 50 }, { layer, mask = 0, isActive } = {}) {
+    const owner = { name, markedForDeletion: false };
+    const hits = [];
+    collisions.add({
+        owner,
+        layer,
+        mask,
+        isActive,
+        getBounds: () => ({ x, y, width, height }),
+        onHit: other => hits.push(other.owner.name),
+    });
+    return { owner, hits };
+}
+
+test('only a collider whose mask includes the other layer hears about the overlap', () => {
+    const collisions = new CollisionSystem(1000);
+    const knife = addBox(collisions, 'knife', { x: 100, y: 0 }, { layer: COLLISION_LAYERS.PLAYER_ATTACK, mask: COLLISION_LAYERS.ENEMY });
+    const enemy = addBox(collisions, 'enemy', { x: 120, y: 0 }, { layer: COLLISION_LAYERS.ENEMY });
+    const player = addBox(collisions, 'player', { x: 110, y: 0 }, { layer: COLLISION_LAYERS.PLAYER });
+
+    collisions.update();
+
+    assert.deepEqual(knife.hits, ['enemy']);
+    assert.deepEqual(enemy.hits, []);
+    assert.deepEqual(player.hits, [], 'no mask, so nothing is reported to the player');
+});
+
+test('inactive colliders and deleted owners take no part', () => {
+    const collisions = new CollisionSystem(1000);
+    let isSwinging = false;
+    const knife = addBox(collisions, 'knife', { x: 100, y: 0 },
+        { layer: COLLISION_LAYERS.PLAYER_ATTACK, mask: COLLISION_LAYERS.ENEMY, isActive: () => isSwinging });
+    const enemy = addBox(collisions, 'enemy', { x: 120, y: 0 }, { layer: COLLISION_LAYERS.ENEMY });
+
+    collisions.update();
+    assert.deepEqual(knife.hits, []);
+
+    isSwinging = true;
+    collisions.update();
+    assert.deepEqual(knife.hits, ['enemy']);
+
+    enemy.owner.markedForDeletion = true;
+    collisions.update();
+    assert.deepEqual(knife.hits, ['enemy']);
+    assert.equal(collisions.colliders.length, 1, "the deleted owner's collider is dropped");
+});
+
+test('a pair spanning several grid columns is reported once per tick', () => {
+    const collisions = new CollisionSystem(1000, 100);
+    const bullet = addBox(collisions, 'bullet', { x: 150, y: 0, width: 300 },
+        { layer: COLLISION_LAYERS.PLAYER_PROJECTILE, mask: COLLISION_LAYERS.ENEMY });
+    addBox(collisions, 'enemy', { x: 180, y: 0, width: 250 }, { layer: COLLISION_LAYERS.ENEMY });
+    addBox(collisions, 'far enemy', { x: 800, y: 0 }, { layer: COLLISION_LAYERS.ENEMY });
+
+    collisions.update();
+
+    assert.deepEqual(bullet.hits, ['enemy']);
+});
+
+test('a bullet is used up by the first enemy it hits', async () => {
+    const { game, input } = await createHeadlessGame({ seed: 1 });
+    game.step(400);
+    const [front, behind] = game.world.query('enemy');
+    behind.x = front.x;
+    behind.y = front.y;
+
+    game.player.x = front.x - 300;
+    game.player.direction = 'right';
+    input.press('q');
+    game.step(2);
+    input.release('q');
+    game.step(60);
+
+    const damaged = [front, behind].filter(enemy => enemy.health < enemy.maxHealth);
+    assert.equal(damaged.length, 1);
+    assert.equal(game.world.query('bullet').length, 0);
+});
@@ -0,0 +1,116 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { GAME_EVENTS } from './EventBus.js';
+import { DamageNumber } from './DamageNumber.js';
+
+/**
+ * Makes hits on enemies felt: floating damage numbers, a white flash of the sprite, a short
+ * hit-stop on knife hits and a screen shake that grows with the damage. Each effect has its
+ * own setting.
+ *
+ * None of it touches the simulation: the hit-stop holds back the ticks in Game.advance()
+ * instead of skipping them, and the shake only moves the picture. So recordings replay the
+ * same whichever effects are on.
+ */
+export class CombatFeedback {
+    /**
+     * @param {Game} game The main game object.
+     */
+    constructor(game) {
+        this.game = game;
+
+        this.flashDuration = 100; // ms the sprite stays white
+        this.hitStopDuration = 60; // ms the action holds on a knife hit...
+        this.killHitStopDuration = 110; // ...and on a knife kill
+        this.shakeDuration = 220; // ms
+        this.shakePerDamage = 0.25; // Pixels of shake per point of damage...
+        this.maxShake = 12; // ...up to this many
+
+        this.hitStopTimer = 0;
+        this.shakeTimer = 0;
+        this.shakeIntensity = 0;
+        this.shakeTime = 0; // Drives the shake's wobble
+        this.nextDriftX = 0.4; // Alternates, so numbers of quick hits lean apart
+
+        game.events.on(GAME_EVENTS.ENEMY_DAMAGED, event => this.onEnemyDamaged(event));
+    }
+
+    /**
+     * Plays the enabled effects for a hit on an enemy.
+     * @param {EnemyDamagedEvent} event
+     */
+    onEnemyDamaged({ enemy, damage, x, y, source }) {
+        const settings = this.game.settings;
+
+        if (settings.damageNumbersEnabled) {
+            const number = new DamageNumber(x, y - 20, damage, { driftX: this.nextDriftX, isKillingBlow: enemy.isDead });
+            this.game.world.add(number, { tags: ['damageNumber'] });
+            this.nextDriftX = -this.nextDriftX;
+        }
+        if (settings.hitFlashEnabled) {
+            enemy.flash(this.flashDuration);
+        }
+        if (settings.hitStopEnabled && source === 'melee') {
+            this.hitStopTimer = Math.max(this.hitStopTimer, enemy.isDead ? this.killHitStopDuration : this.hitStopDuration);
+        }
+        if (settings.screenShakeEnabled) {
+            this.shake(damage * this.shakePerDamage);
+        }
+    }
+
+    /**
+     * Starts a screen shake, unless a stronger one is already running.
+     * @param {number} intensity How far the picture moves, in pixels.
+     */
+    shake(intensity) {
+        const current = this.shakeTimer > 0 ? this.shakeIntensity * (this.shakeTimer / this.shakeDuration) : 0;
+        if (intensity <= current) return;
+        this.shakeIntensity = Math.min(this.maxShake, intensity);
+        this.shakeTimer = this.shakeDuration;
+    }
+
+    /**
+     * Counts down the hit-stop and the shake in real time, so they run while the simulation is held.
+     * @param {number} frameTime Real time since the previous frame, in ms.
+     */
+    update(frameTime) {
+        this.hitStopTimer = Math.max(0, this.hitStopTimer - frameTime);
+        if (this.shakeTimer > 0) {
+            this.shakeTimer = Math.max(0, this.shakeTimer - frameTime);
+            this.shakeTime += frameTime;
+        }
+    }
+
+    /**
+     * @returns {boolean} Whether a hit-stop is holding the simulation.
+     */
+    isHoldingSimulation() {
+        return this.hitStopTimer > 0;
+    }
+
+    /**
+     * Gets how far to move the picture for the shake; it fades out over the shake's duration.
+     * @returns {{x: number, y: number}}
+     */
+    getShakeOffset() {
+        if (this.shakeTimer <= 0) {
+            return { x: 0, y: 0 };
+        }
+        const strength = this.shakeIntensity * (this.shakeTimer / this.shakeDuration);
+        return {
+            x: Math.sin(this.shakeTime * 0.11) * strength,
+            y: Math.cos(this.shakeTime * 0.17) * strength
+        };
+    }
+
+    /**
+     * Stops all running effects, e.g. when a new run starts.
+     */
+    reset() {
+        this.hitStopTimer = 0;
+        this.shakeTimer = 0;
+        this.shakeTime = 0;
+    }
+}
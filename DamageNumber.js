@@ -0,0 +1,67 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * The amount of damage a hit dealt, floating up from where it landed and fading away.
+ */
+export class DamageNumber {
+    /**
+     * @param {number} x The x-coordinate where the hit landed.
+     * @param {number} y The y-coordinate where the hit landed.
+     * @param {number} value The damage dealt.
+     * @param {Object} [options]
+     * @param {number} [options.driftX=0] Sideways drift in pixels per tick, so numbers of quick hits don't stack up.
+     * @param {boolean} [options.isKillingBlow=false] Whether the hit finished its target off; shown larger, in gold.
+     */
+    constructor(x, y, value, { driftX = 0, isKillingBlow = false } = {}) {
+        this.x = x;
+        this.y = y;
+        this.value = Math.round(value);
+        this.width = 0;
+        this.height = 0;
+
+        this.speedX = driftX;
+        this.speedY = -1.6; // Pops up quickly, then slows down
+        this.drag = 0.94;
+        this.maxLife = 800; // ms
+        this.life = this.maxLife;
+
+        this.fontSize = isKillingBlow ? 30 : 22;
+        this.color = isKillingBlow ? '#ffd24a' : '#ffffff';
+        this.markedForDeletion = false;
+    }
+
+    /**
+     * Moves the number up and counts down its life.
+     * @param {number} deltaTime - Time since the last frame.
+     */
+    update(deltaTime) {
+        this.x += this.speedX;
+        this.y += this.speedY;
+        this.speedY *= this.drag;
+        this.life -= deltaTime;
+        if (this.life <= 0) {
+            this.markedForDeletion = true;
+        }
+    }
+
+    /**
+     * Draws the number with a dark outline, fading out over the last part of its life.
+     * @param {CanvasRenderingContext2D} context The drawing context.
+     */
+    draw(context) {
+        context.save();
+        context.globalAlpha = Math.max(0, Math.min(1, this.life / (this.maxLife * 0.4)));
+        context.font = `bold ${this.fontSize}px "Roboto", sans-serif`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.lineWidth = 4;
+        context.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+        context.strokeText(String(this.value), this.x, this.y);
+        context.fillStyle = this.color;
+        context.fillText(String(this.value), this.x, this.y);
+        context.restore();
+    }
+}
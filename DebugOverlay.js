@@ -0,0 +1,240 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * A developer overlay for tuning collisions. It outlines hitboxes, the melee reach,
+ * the scare zones of the blinking eyes, the platforms and the enemies' ways between them, the chest's
+ * interaction range, the enemies' patrol waypoints and the reach of the graves that raise enemies,
+ * and lists runtime stats (FPS, frame time, entity counts, scenes and animations).
+ */
+export class DebugOverlay {
+    /**
+     * @param {Game} game The main game object.
+     * @param {boolean} [isEnabled=false] Whether the overlay starts visible.
+     */
+    constructor(game, isEnabled = false) {
+        this.game = game;
+        this.isEnabled = isEnabled;
+
+        // Frame timing, smoothed so the numbers are readable
+        this.frameTime = 0; // ms
+        this.fps = 0;
+        this.smoothing = 0.9; // Weight of the previous average
+
+        this.colors = {
+            hitbox: 'rgba(0, 255, 0, 0.9)',
+            attack: 'rgba(255, 40, 40, 0.9)',
+            scareZone: 'rgba(255, 255, 0, 0.9)',
+            platform: 'rgba(0, 200, 255, 0.9)',
+            navigationLink: 'rgba(200, 120, 255, 0.8)',
+            interactionRange: 'rgba(255, 200, 0, 0.7)',
+            patrol: 'rgba(255, 140, 200, 0.9)',
+            spawnerRange: 'rgba(130, 220, 110, 0.8)',
+            magnetRadius: 'rgba(255, 230, 120, 0.6)',
+            wall: 'rgba(255, 120, 40, 0.9)',
+            label: '#ffffff',
+        };
+    }
+
+    /**
+     * Shows or hides the overlay.
+     */
+    toggle() {
+        this.isEnabled = !this.isEnabled;
+    }
+
+    /**
+     * Feeds the real time of a rendered frame into the FPS average.
+     * @param {number} frameTime Real time since the previous frame, in ms.
+     */
+    recordFrame(frameTime) {
+        if (frameTime <= 0) return;
+        this.frameTime = this.frameTime
+            ? this.frameTime * this.smoothing + frameTime * (1 - this.smoothing)
+            : frameTime;
+        this.fps = 1000 / this.frameTime;
+    }
+
+    /**
+     * Draws the overlay on top of the game.
+     * @param {CanvasRenderingContext2D} context The drawing context.
+     * @param {number} alpha Blend factor between the previous and current tick, to line up with the sprites.
+     */
+    draw(context, alpha) {
+        const game = this.game;
+        if (!game.camera) return;
+
+        context.save();
+        context.lineWidth = 1;
+        context.font = '12px monospace';
+        context.textAlign = 'center';
+        context.textBaseline = 'bottom';
+
+        game.withInterpolatedPosition(game.camera, alpha, () => {
+            context.save();
+            context.translate(-game.camera.x, -game.camera.y);
+            this.drawEnvironment(context);
+            game.world.entities.forEach(entity => {
+                game.withInterpolatedPosition(entity, alpha, () => this.drawEntity(context, entity));
+            });
+            context.restore();
+        });
+
+        this.drawStats(context);
+        context.restore();
+    }
+
+    /**
+     * Outlines the platforms, the walls, the enemies' navigation links and the scare zones of the blinking eyes.
+     * @param {CanvasRenderingContext2D} context The drawing context.
+     */
+    drawEnvironment(context) {
+        const environment = this.game.environment;
+        if (!environment) return;
+
+        // One-way platforms are dashed, solid ones drawn through
+        context.strokeStyle = this.colors.platform;
+        environment.platforms.forEach(platform => {
+            context.setLineDash(platform.isSolid ? [] : [6, 4]);
+            context.strokeRect(platform.x, platform.y, platform.width, platform.height);
+        });
+        context.setLineDash([]);
+
+        // The walls that can be slid down
+        context.strokeStyle = this.colors.wall;
+        environment.getWalls().forEach(wall => {
+            context.strokeRect(wall.x, wall.y, wall.width, wall.height);
+        });
+
+        // Jumps go up onto a platform, drops off its ends or through it
+        const graph = environment.navigationGraph;
+        if (graph) {
+            context.strokeStyle = this.colors.navigationLink;
+            context.setLineDash([2, 4]);
+            graph.surfaces.forEach(surface => graph.getLinks(surface).forEach(link => {
+                context.beginPath();
+                context.moveTo(link.takeoffX, link.from.y);
+                context.lineTo(link.landingX, link.to.y);
+                context.stroke();
+            }));
+            context.setLineDash([]);
+        }
+
+        context.strokeStyle = this.colors.scareZone;
+        environment.blinkingEyes.forEach(eye => {
+            const zone = eye.getScareZone();
+            context.setLineDash(eye.isScared ? [4, 4] : []);
+            context.strokeRect(zone.x, zone.y, zone.width, zone.height);
+        });
+        context.setLineDash([]);
+    }
+
+    /**
+     * Outlines one entity's collision shapes and labels its animation.
+     * @param {CanvasRenderingContext2D} context The drawing context.
+     * @param {object} entity An entity from the game world.
+     */
+    drawEntity(context, entity) {
+        if (entity.getHitbox) {
+            const hitbox = entity.getHitbox();
+            context.strokeStyle = this.colors.hitbox;
+            context.strokeRect(hitbox.x, hitbox.y, hitbox.width, hitbox.height);
+        }
+
+        // The knife only hurts while the melee animation plays, an enemy's swing during its attack
+        if (entity.getAttackHitbox && ['melee', 'attack'].includes(entity.animationManager.currentAnimationName)) {
+            const attack = entity.getAttackHitbox();
+            context.strokeStyle = this.colors.attack;
+            context.strokeRect(attack.x, attack.y, attack.width, attack.height);
+        }
+
+        // The waypoints an enemy patrols between, at the height of its feet
+        if (entity.patrolPath && !entity.isGuard) {
+            const feetY = entity.y + entity.height - entity.verticalOffset;
+            context.strokeStyle = this.colors.patrol;
+            entity.patrolPath.forEach(offset => {
+                const waypointX = entity.patrolStartX + offset + entity.width / 2;
+                context.strokeRect(waypointX - 3, feetY - 6, 6, 6);
+            });
+        }
+
+        if (entity.interactionRange) {
+            context.strokeStyle = this.colors.interactionRange;
+            context.beginPath();
+            context.arc(entity.x + entity.width / 2, entity.y + entity.height / 2, entity.interactionRange, 0, Math.PI * 2);
+            context.stroke();
+        }
+
+        // Loot flies to the player within its magnet radius; dashed while the player has no use for it
+        if (entity.magnetRadius) {
+            context.strokeStyle = this.colors.magnetRadius;
+            context.setLineDash(entity.canBeCollected() ? [] : [4, 4]);
+            context.beginPath();
+            context.arc(entity.x + entity.width / 2, entity.y + entity.height / 2, entity.magnetRadius, 0, Math.PI * 2);
+            context.stroke();
+            context.setLineDash([]);
+        }
+
+        // A grave wakes while the player is within its activation radius; dashed while asleep
+        if (entity.activationRadius) {
+            const centerX = entity.x + entity.width / 2;
+            context.strokeStyle = this.colors.spawnerRange;
+            context.setLineDash(entity.isAwake ? [] : [4, 4]);
+            context.strokeRect(centerX - entity.activationRadius, entity.y, entity.activationRadius * 2, entity.height);
+            context.setLineDash([]);
+            context.fillStyle = this.colors.label;
+            context.fillText(`${entity.type} ${entity.risen.length}/${entity.cap}`, centerX, entity.y);
+        }
+
+        if (entity.animationManager && entity.animationManager.currentAnimationName) {
+            // Enemies also show their AI state
+            const label = entity.state && entity.tags.has('enemy')
+                ? `${entity.animationManager.currentAnimationName} [${entity.state}]`
+                : entity.animationManager.currentAnimationName;
+            context.fillStyle = this.colors.label;
+            context.fillText(label, entity.x + entity.width / 2, entity.y);
+        }
+    }
+
+    /**
+     * Draws the stats panel in the top-left corner of the screen, below the health bar.
+     * @param {CanvasRenderingContext2D} context The drawing context.
+     */
+    drawStats(context) {
+        const game = this.game;
+
+        const counts = {};
+        game.world.entities.forEach(entity => {
+            entity.tags.forEach(tag => {
+                counts[tag] = (counts[tag] || 0) + 1;
+            });
+        });
+
+        const lines = [
+            `FPS: ${this.fps.toFixed(0)}  Frame: ${this.frameTime.toFixed(1)} ms`,
+            `State: ${game.gameState}  Scenes: ${game.scenes.stack.map(scene => scene.name).join(' > ')}`,
+            `Sim time: ${(game.elapsedTime / 1000).toFixed(1)} s  Seed: ${game.seed}`,
+            `Entities: ${game.world.entities.length}`,
+            ...Object.keys(counts).sort().map(tag => `  ${tag}: ${counts[tag]}`),
+        ];
+        if (game.player) {
+            lines.push(`Player: ${game.player.animationManager.currentAnimationName}` +
+                ` (${game.player.x.toFixed(0)}, ${game.player.y.toFixed(0)})` +
+                `  HP: ${game.player.health}/${game.player.maxHealth}`);
+        }
+
+        const top = 50;
+        const lineHeight = 16;
+        const padding = 8;
+        context.textAlign = 'left';
+        context.textBaseline = 'top';
+        context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        context.fillRect(10, top, 330, lines.length * lineHeight + padding * 2);
+        context.fillStyle = this.colors.label;
+        lines.forEach((line, i) => {
+            context.fillText(line, 10 + padding, top + padding + i * lineHeight);
+        });
+    }
+}
@@ -12,17 +12,17 @@ export class DustParticle {
         this.x = x;
         this.y = y;
 
-        this.size = Math.random() * 4 + 2; // Small dust motes
+        this.size = this.game.random.next() * 4 + 2; // Small dust motes
         // Move away from the direction of the slide
         const horizontalVelocity = direction === 'right' ? -1 : 1;
-        this.speedX = (Math.random() - 0.5) * 2 + horizontalVelocity;
-        this.speedY = Math.random() * -1.5 - 0.5; // Slight upward pop
+        this.speedX = (this.game.random.next() - 0.5) * 2 + horizontalVelocity;
+        this.speedY = this.game.random.next() * -1.5 - 0.5; // Slight upward pop
         this.gravity = 0.1;
 
-        this.maxLife = Math.random() * 40 + 20; // Short lifespan
+        this.maxLife = this.game.random.next() * 40 + 20; // Short lifespan
         this.life = this.maxLife;
         // Dusty brown/grey color
-        this.color = `rgba(150, 120, 90, ${Math.random() * 0.3 + 0.2})`;
+        this.color = `rgba(150, 120, 90, ${this.game.random.next() * 0.3 + 0.2})`;
 
         this.markedForDeletion = false;
     }
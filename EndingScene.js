@@ -0,0 +1,83 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { Scene } from './Scene.js';
+import { DIALOGUE_DATA } from './DialogueData.js';
+import { RESUME_SCROLL_DATA } from './ResumeScrollData.js';
+import { GAME_EVENTS } from './EventBus.js';
+
+/**
+ * The end sequence after the resume scroll has been found: the outro dialogue plays,
+ * the resume is downloaded, and the end screen with "Play again" is shown once the
+ * dialogue is over. The world keeps animating, but the player no longer has control.
+ */
+export class EndingScene extends Scene {
+    /**
+     * @param {Game} game The main game object.
+     */
+    constructor(game) {
+        super(game, 'ENDING');
+        this.canPause = true;
+        this.isEndScreenShown = false;
+        this.unsubscribe = null;
+    }
+
+    /**
+     * Starts the outro dialogue and the countdown to the resume download.
+     * The run is over, so there is nothing left to continue.
+     */
+    enter() {
+        const game = this.game;
+        this.isEndScreenShown = false;
+        if (!game.replay) {
+            game.saveManager.clear();
+        }
+
+        // Offer to play again once the outro is over.
+        this.unsubscribe = game.events.on(GAME_EVENTS.DIALOGUE_FINISHED, () => {
+            this.isEndScreenShown = true;
+            game.ui.showEndScreen();
+        });
+        game.startDialogue([{
+            text: DIALOGUE_DATA[game.selectedLanguage].outro,
+            target: game.player,
+        }]);
+
+        // Trigger the file download after a specified delay (counted down in update)
+        game.resumeDownloadTimer = RESUME_SCROLL_DATA.downloadDelay || 500; // Use delay, with a fallback
+    }
+
+    /**
+     * Cancels a pending download and hides the end screen, e.g. when the game is reset.
+     */
+    exit() {
+        this.unsubscribe();
+        this.game.resumeDownloadTimer = null;
+        if (this.isEndScreenShown) {
+            this.game.ui.hideEndScreen();
+            this.isEndScreenShown = false;
+        }
+    }
+
+    /**
+     * Keeps the world alive while the outro plays.
+     * @param {number} deltaTime Time since the last tick.
+     */
+    update(deltaTime) {
+        const game = this.game;
+        game.updateResumeDownload(deltaTime);
+        game.updateDialogue(deltaTime);
+        game.updateWorld(deltaTime);
+    }
+
+    /**
+     * Draws the world with the outro speech bubble on top.
+     * @param {CanvasRenderingContext2D} context The drawing context.
+     * @param {number} alpha Blend factor between the previous and current tick.
+     */
+    draw(context, alpha) {
+        this.game.drawWorld(context, alpha);
+        this.game.drawDialogue(context, alpha);
+    }
+}
@@ -5,63 +5,709 @@
  * SPDX-License-Identifier: Apache-2.0
  */
 import { AnimationManager } from './AnimationManager.js';
-import { ENEMY_ANIMATIONS } from './EnemyAnimationData.js';
+import { ENEMY_TYPES } from './EnemyTypeData.js';
+import { landOnSurfaces, findPlatformUnderFeet } from './Collision.js';
+import { COLLISION_LAYERS } from './CollisionSystem.js';
+import { GAME_EVENTS } from './EventBus.js';
+import { Bullet } from './Bullet.js';
+import { LAYERS } from './World.js';
 
 /**
- * Represents an enemy character.
+ * Represents an enemy character. Its stats, sprites, sounds and AI tuning come from its
+ * type in EnemyTypeData.js.
  */
 export class Enemy {
-    constructor(game, x, y, environment, audioManager) {
+    /**
+     * @param {Game} game The main game object.
+     * @param {Object} spawn Where and how the enemy is placed, usually an entry of LevelData.js.
+     * @param {string} spawn.type A key of ENEMY_TYPES, e.g. 'zombie'.
+     * @param {number} spawn.x The x-coordinate of the enemy's post.
+     * @param {number} [spawn.y=0] The starting y-coordinate; the enemy drops onto the surface below.
+     * @param {Object} [spawn.patrol={}] How the enemy patrols its post (see LevelData.js); by default
+     *     it walks its type's patrolRange to the left and back.
+     * @param {Environment} environment The level geometry.
+     * @param {AudioManager} audioManager Plays the enemy's sounds.
+     */
+    constructor(game, { type: typeId, x, y = 0, patrol = {} }, environment, audioManager) {
+        const type = ENEMY_TYPES[typeId];
+        if (!type) {
+            throw new Error(`Unknown enemy type: ${typeId}`);
+        }
+
         this.game = game;
         this.environment = environment;
         this.audioManager = audioManager;
-        this.width = 128;
-        this.height = 128;
+        this.typeId = typeId;
+        this.width = type.width;
+        this.height = type.height;
+        this.filter = type.filter; // Canvas filter that sets the type apart
+        this.sounds = type.sounds;
+        this.isBoss = !!type.isBoss; // Bosses show their health in the HUD instead of over their head
+        this.name = type.name || null;
+        this.phases = type.phases || []; // Stat overrides that kick in as health drops
+        this.phaseIndex = 0; // 0 is the starting phase, n is phases[n - 1]
 
         // Tighter hitbox for more precise collisions
-        this.hitboxWidth = 40;
+        this.hitboxWidth = type.hitboxWidth;
         this.hitboxOffsetX = (this.width - this.hitboxWidth) / 2;
         
         this.x = x;
         this.y = y;
-        this.speedX = -1; // Start by moving left
+        this.speedX = 0;
         this.speedY = 0;
-        this.direction = 'left';
 
-        this.patrolStartX = x;
-        this.patrolRange = 150; // How far to walk from the start point
+        // --- Patrol ---
+        this.patrolStartX = x; // The post, which the enemy returns to after a chase
+        this.facing = patrol.facing || 'left'; // The way the enemy looks when it stands at its post
+        this.direction = this.facing;
+        this.patrolSpeed = patrol.speed ?? type.patrolSpeed; // Pixels per tick while patrolling or returning to the post
+        this.chaseSpeed = type.chaseSpeed; // Pixels per tick while chasing the player
+        this.isGuard = patrol.guard ?? type.patrolRange === 0; // Guards hold their post instead of walking
+        this.patrolPause = patrol.pause ?? 0; // ms of standing at each waypoint; a guard looks the other way this often
+        // The waypoints, as offsets from the post so they move along with it
+        const hasWaypoints = Array.isArray(patrol.waypoints) && patrol.waypoints.length > 0 &&
+            patrol.waypoints.every(waypointX => Number.isFinite(waypointX));
+        if (hasWaypoints) {
+            this.patrolPath = patrol.waypoints.map(waypointX => waypointX - x);
+        } else if (patrol.range) {
+            this.patrolPath = [-(patrol.range.left ?? 0), patrol.range.right ?? 0];
+        } else {
+            this.patrolPath = [-type.patrolRange, 0];
+        }
+        this.waypointIndex = 0; // The waypoint being walked to...
+        this.waypointStep = 1; // ...and which way along the path the enemy is going
+        this.patrolWaitTimer = 0; // ms left to stand at the waypoint just reached
+
+        // --- AI ---
+        // 'patrol' -> 'notice' -> 'chase' -> 'attack' -> 'recover' -> 'chase' or 'return' -> 'patrol'
+        // Bosses start 'dormant' and do nothing until their arena wakes them; enemies raised by a
+        // grave spend their first moments 'emerging' from the ground.
+        this.state = this.isBoss ? 'dormant' : 'patrol';
+        this.stateTimer = 0; // ms spent in the current state
+        this.sightRange = type.sightRange; // How far ahead the enemy sees the player
+        this.hearingRange = type.hearingRange; // How close the player can get from behind before being noticed
+        this.loseSightRange = type.loseSightRange; // A chase is given up beyond this distance...
+        this.leashRange = type.leashRange; // ...or this far from the post
+        this.noticeDuration = type.noticeDuration; // ms of surprise before giving chase
+        this.recoverDuration = type.recoverDuration; // ms of standing after a swing, open to a counterattack
 
         this.gravity = 1;
-        this.verticalOffset = 10; // To close the visual gap with the ground
+        this.verticalOffset = type.verticalOffset; // To close the visual gap with the ground
+        this.isGrounded = false;
+        this.homeSurface = null; // The surface of the post, from the navigation graph; known once the enemy first lands
+
+        // --- Navigation ---
+        this.jumpSpeed = type.jumpSpeed; // Upward speed of a jump onto a platform; 0 if the enemy cannot jump
+        this.jumpHeight = 0; // How high that carries the feet
+        for (let speed = this.jumpSpeed - this.gravity; speed > 0; speed -= this.gravity) {
+            this.jumpHeight += speed;
+        }
+        this.jumpLink = null; // The link of the jump in progress, to steer onto a solid platform...
+        this.jumpCarrySpeed = 0; // ...at this speed
+        this.dropThroughPlatform = null; // A one-way platform the enemy is falling through
+        this.emergeDuration = 0; // ms the climb out of a grave takes
+        this.emergeFromY = 0; // Where the climb starts (out of sight) and ends (standing on the ground)
+        this.emergeToY = 0;
+        this.emergeDustTimer = 0;
         
-        this.animationManager = new AnimationManager(this, ENEMY_ANIMATIONS, 'Enemy');
+        this.animationManager = new AnimationManager(this, type.animations, 'Enemy', this.game.assetLoader);
 
-        this.health = 100;
-        this.maxHealth = 100;
+        this.health = type.health;
+        this.maxHealth = type.health;
         this.isDead = false;
         this.markedForDeletion = false;
         this.deathTimer = 0;
         this.timeUntilRemoval = 500; // ms to wait before removing corpse
         this.alpha = 1;
         this.yAtCorpseStart = 0;
+        this.flashTimer = 0; // ms left of the white flash after a hit
+        this.drops = type.drops || []; // The loot rolled for when the enemy is defeated
+
+        // --- Attacking ---
+        this.attackStyle = type.attackStyle; // 'melee', 'ranged' or 'mixed'
+        this.currentAttack = 'melee'; // The kind of the swing in progress: 'melee' or 'ranged'
+        this.contactDamage = type.contactDamage; // Dealt to the player on touch
+        this.attackDamage = type.attackDamage;
+        this.attackRange = type.attackRange; // How close (hitbox edge to hitbox edge) the player must be for a swing
+        this.throwRange = type.throwRange; // Ranged: how far a projectile is thrown...
+        this.preferredDistance = type.preferredDistance; // ...and how close the player may come before the enemy backs off
+        this.projectile = type.projectile;
+        this.hasThrownThisAttack = false;
+        this.attackWindupFrame = type.attackWindupFrame; // The frame of the 'attack' animation held as a telegraph...
+        this.attackWindupDuration = type.attackWindupDuration; // ...for this many ms
+        this.windupTimer = 0;
+        this.attackDamageFrame = type.attackDamageFrame; // The frame in which the swing lands
+
+        this.game.collisions.add({
+            owner: this,
+            layer: COLLISION_LAYERS.ENEMY,
+            getBounds: () => this.getHitbox(),
+            // A dormant boss and an enemy still rising from its grave can't be touched yet
+            isActive: () => !this.isDead && this.state !== 'emerging' && this.state !== 'dormant',
+        });
+
+        // The swing hurts the player only in the frame where it lands.
+        this.game.collisions.add({
+            owner: this,
+            layer: COLLISION_LAYERS.ENEMY_ATTACK,
+            mask: COLLISION_LAYERS.PLAYER,
+            getBounds: () => this.getAttackHitbox(),
+            isActive: () => !this.isDead && this.currentAttack === 'melee' &&
+                this.animationManager.currentAnimationName === 'attack' &&
+                this.animationManager.currentFrame === this.attackDamageFrame,
+            onHit: other => other.owner.takeDamage(this.attackDamage, this.x + this.width / 2),
+        });
+    }
+
+    /**
+     * Gets the enemy's hitbox, which is narrower than its sprite.
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getHitbox() {
+        return {
+            x: this.x + this.hitboxOffsetX,
+            y: this.y,
+            width: this.hitboxWidth,
+            height: this.height
+        };
+    }
+
+    /**
+     * Gets the area the swing reaches, in front of the enemy.
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getAttackHitbox() {
+        const hitbox = this.getHitbox();
+        return {
+            x: this.direction === 'right' ? hitbox.x + hitbox.width : hitbox.x - this.attackRange,
+            y: this.y,
+            width: this.attackRange,
+            height: this.height
+        };
+    }
+
+    /**
+     * Gets the horizontal distance from the enemy's center to the player's center.
+     * @returns {number} Positive if the player is to the right.
+     */
+    getPlayerOffset() {
+        const player = this.game.player;
+        return (player.x + player.width / 2) - (this.x + this.width / 2);
+    }
+
+    /**
+     * Checks whether the player can be fought at all: alive, in control and on the enemy's level
+     * or on a surface the enemy can get to.
+     * @returns {boolean}
+     */
+    isPlayerReachable() {
+        const player = this.game.player;
+        if (!player || player.isDead || player.isFrozen) return false;
+        return this.isPlayerOnSameLevel() || this.findRouteTo(this.getPlayerSurface()) !== null;
+    }
+
+    /**
+     * Checks whether the player's feet are roughly level with the enemy's, close enough for a swing.
+     * @returns {boolean}
+     */
+    isPlayerOnSameLevel() {
+        const player = this.game.player;
+        return Math.abs((player.y + player.height) - (this.y + this.height)) < this.height / 2;
+    }
+
+    /**
+     * Checks whether the enemy notices the player: within sight range in front of it,
+     * or very close behind it.
+     * @returns {boolean}
+     */
+    canSeePlayer() {
+        if (!this.isPlayerReachable()) return false;
+        const offset = this.getPlayerOffset();
+        const isInFront = this.direction === 'right' ? offset >= 0 : offset <= 0;
+        return Math.abs(offset) <= (isInFront ? this.sightRange : this.hearingRange);
+    }
+
+    /**
+     * Checks whether the player is close enough for a swing, or for a throw.
+     * @returns {boolean}
+     */
+    isPlayerInAttackRange() {
+        if (!this.isPlayerReachable()) return false;
+        if (this.attackStyle !== 'melee') {
+            return Math.abs(this.getPlayerOffset()) <= this.throwRange;
+        }
+        return this.isPlayerInSwingRange();
+    }
+
+    /**
+     * Checks whether the player is close enough for a melee swing.
+     * @returns {boolean}
+     */
+    isPlayerInSwingRange() {
+        if (!this.isPlayerOnSameLevel()) return false;
+        const hitbox = this.getHitbox();
+        const playerHitbox = this.game.player.getHitbox();
+        const gap = Math.max(playerHitbox.x - (hitbox.x + hitbox.width), hitbox.x - (playerHitbox.x + playerHitbox.width));
+        return gap < this.attackRange;
+    }
+
+    /**
+     * Checks whether a chase should be given up: the player got away, or the enemy strayed too far from its post.
+     * @returns {boolean}
+     */
+    shouldGiveUpChase() {
+        return !this.isPlayerReachable() ||
+            Math.abs(this.getPlayerOffset()) > this.loseSightRange ||
+            Math.abs(this.x - this.patrolStartX) > this.leashRange;
+    }
+
+    /**
+     * Checks whether a step in a direction would walk off the edge of the platform the enemy stands on.
+     * The ground runs the whole level, so there is no edge to walk off down there.
+     * @param {string} direction 'left' or 'right'.
+     * @returns {boolean}
+     */
+    isAtLedge(direction) {
+        const platform = findPlatformUnderFeet(this, this.environment);
+        if (!platform) return false;
+        const hitbox = this.getHitbox();
+        return direction === 'left' ? hitbox.x - this.chaseSpeed < platform.x : hitbox.x + hitbox.width + this.chaseSpeed > platform.x + platform.width;
+    }
+
+    /**
+     * Gets the surface the enemy stands on (or, in the air, the one below it).
+     * @returns {Surface|null} A node of the environment's navigation graph.
+     */
+    getSurface() {
+        const graph = this.environment.navigationGraph;
+        if (!graph) return null;
+        const hitbox = this.getHitbox();
+        return graph.findSurfaceUnder(hitbox.x, hitbox.x + hitbox.width, this.y + this.height - this.verticalOffset);
+    }
+
+    /**
+     * Gets the surface the player stands on (or, in the air, the one below them).
+     * @returns {Surface|null} A node of the environment's navigation graph.
+     */
+    getPlayerSurface() {
+        const graph = this.environment.navigationGraph;
+        const player = this.game.player;
+        if (!graph) return null;
+        const hitbox = player.getHitbox();
+        return graph.findSurfaceUnder(hitbox.x, hitbox.x + hitbox.width, player.y + player.height - player.verticalOffset);
+    }
+
+    /**
+     * Finds the way from where the enemy is to another surface, using only the jumps it can make.
+     * @param {Surface|null} targetSurface
+     * @returns {Array<NavigationLink>|null} The links to follow (empty if already there), or null if there is no way.
+     */
+    findRouteTo(targetSurface) {
+        const graph = this.environment.navigationGraph;
+        const surface = this.getSurface();
+        if (!graph || !surface || !targetSurface) return null;
+        return graph.findRoute(surface, this.x + this.width / 2, targetSurface,
+            link => link.kind !== 'jump' || link.rise < this.jumpHeight);
+    }
+
+    /**
+     * Walks towards a spot, jumping up to or dropping down from platforms on the way.
+     * @param {Surface|null} targetSurface The surface the spot is on.
+     * @param {number} targetX Where the enemy's center should end up.
+     * @param {number} speed Pixels per tick.
+     * @returns {boolean} Whether there is a way there; if not, the enemy stands still.
+     */
+    moveTowards(targetSurface, targetX, speed) {
+        const route = this.findRouteTo(targetSurface);
+        if (!route) {
+            this.speedX = 0;
+            return false;
+        }
+
+        const centerX = this.x + this.width / 2;
+        const link = route[0];
+        if (link && link.kind === 'drop') {
+            // Walk off the end of the platform on purpose.
+            this.direction = link.direction;
+            this.speedX = link.direction === 'left' ? -speed : speed;
+            return true;
+        }
+
+        const offset = (link ? link.takeoffX : targetX) - centerX;
+        if (Math.abs(offset) <= speed) {
+            this.x += offset;
+            this.speedX = 0;
+            if (link && link.kind === 'dropThrough') {
+                this.dropThrough();
+            } else if (link) {
+                this.jump(link, speed);
+            }
+        } else {
+            this.direction = offset < 0 ? 'left' : 'right';
+            this.speedX = this.isAtLedge(this.direction) ? 0 : Math.sign(offset) * speed;
+        }
+        return true;
+    }
+
+    /**
+     * Leaps straight up, to land on the platform above (or, for a solid platform, beside it).
+     * @param {NavigationLink|null} [link=null] The jump link being followed.
+     * @param {number} [speed=0] How fast to move over the edge of a solid platform.
+     */
+    jump(link = null, speed = 0) {
+        this.speedY = -this.jumpSpeed;
+        this.isGrounded = false;
+        this.jumpLink = link;
+        this.jumpCarrySpeed = speed;
+    }
+
+    /**
+     * Steers a jump beside a solid platform over its edge once the feet are above its top.
+     */
+    continueJump() {
+        const link = this.jumpLink;
+        if (!link || !link.direction) return;
+        if (this.y + this.height - this.verticalOffset < link.to.y) {
+            this.direction = link.direction;
+            this.speedX = link.direction === 'left' ? -this.jumpCarrySpeed : this.jumpCarrySpeed;
+        }
+    }
+
+    /**
+     * Falls through the one-way platform the enemy stands on.
+     */
+    dropThrough() {
+        const platform = findPlatformUnderFeet(this, this.environment);
+        if (!platform || platform.isSolid) return;
+        this.dropThroughPlatform = platform;
+        this.isGrounded = false;
+    }
+
+    /**
+     * Switches the AI to another state.
+     * @param {string} state 'dormant', 'emerging', 'patrol', 'notice', 'chase', 'attack', 'recover' or 'return'.
+     */
+    setState(state) {
+        this.state = state;
+        this.stateTimer = 0;
+        if (state === 'attack') {
+            this.windupTimer = 0;
+            this.hasThrownThisAttack = false;
+            this.currentAttack = this.attackStyle === 'mixed'
+                ? (this.isPlayerInSwingRange() ? 'melee' : 'ranged')
+                : this.attackStyle;
+            this.animationManager.EnemyAttackAnim();
+        }
+    }
+
+    /**
+     * Turns the enemy towards the player.
+     */
+    facePlayer() {
+        this.direction = this.getPlayerOffset() < 0 ? 'left' : 'right';
+    }
+
+    /**
+     * Runs one tick of the AI state machine and sets speedX and the animation accordingly.
+     * @param {number} deltaTime - Time since the last frame.
+     */
+    updateAI(deltaTime) {
+        this.stateTimer += deltaTime;
+
+        switch (this.state) {
+            case 'dormant':
+                this.speedX = 0;
+                break;
+
+            case 'patrol':
+                if (this.canSeePlayer()) {
+                    this.setState('notice');
+                    break;
+                }
+                this.speedX = 0;
+                if (this.isGuard) {
+                    // Hold the post, looking the other way now and then.
+                    if (this.patrolPause > 0 && this.stateTimer >= this.patrolPause) {
+                        this.direction = this.direction === 'left' ? 'right' : 'left';
+                        this.stateTimer = 0;
+                    }
+                } else if (this.patrolWaitTimer > 0) {
+                    this.patrolWaitTimer -= deltaTime;
+                } else {
+                    this.walkPatrol();
+                }
+                break;
+
+            case 'notice':
+                this.speedX = 0;
+                this.facePlayer();
+                if (!this.isPlayerReachable()) {
+                    this.setState('return');
+                } else if (this.stateTimer >= this.noticeDuration) {
+                    this.setState('chase');
+                }
+                break;
+
+            case 'chase':
+                if (this.shouldGiveUpChase()) {
+                    this.setState('return');
+                    break;
+                }
+                if (!this.isGrounded) {
+                    this.continueJump();
+                    break; // Keep going the way the jump or drop started
+                }
+                this.facePlayer();
+                if (this.attackStyle === 'ranged' && Math.abs(this.getPlayerOffset()) < this.preferredDistance &&
+                    !this.isAtLedge(this.direction === 'left' ? 'right' : 'left')) {
+                    // Too close for comfort: back away while still facing the player.
+                    this.speedX = this.direction === 'left' ? this.chaseSpeed : -this.chaseSpeed;
+                } else if (this.isPlayerInAttackRange()) {
+                    this.speedX = 0;
+                    this.setState('attack');
+                } else {
+                    const player = this.game.player;
+                    this.moveTowards(this.getPlayerSurface(), player.x + player.width / 2, this.chaseSpeed);
+                }
+                break;
+
+            case 'attack':
+                this.speedX = 0;
+                if (this.animationManager.currentFrame === this.attackWindupFrame) {
+                    this.windupTimer += deltaTime;
+                }
+                if (this.currentAttack === 'ranged' && !this.hasThrownThisAttack &&
+                    this.animationManager.currentAnimationName === 'attack' &&
+                    this.animationManager.currentFrame === this.attackDamageFrame) {
+                    this.throwProjectile();
+                }
+                // The animation reverts to idle once the swing is over.
+                if (this.animationManager.currentAnimationName !== 'attack') {
+                    this.setState('recover');
+                }
+                break;
+
+            case 'recover':
+                this.speedX = 0;
+                if (this.stateTimer >= this.recoverDuration) {
+                    this.setState(this.shouldGiveUpChase() ? 'return' : 'chase');
+                }
+                break;
+
+            case 'return': {
+                if (this.canSeePlayer()) {
+                    this.setState('notice');
+                    break;
+                }
+                if (!this.isGrounded) {
+                    this.continueJump();
+                    break;
+                }
+                const distance = this.patrolStartX - this.x;
+                if (this.getSurface() === this.homeSurface && Math.abs(distance) <= this.patrolSpeed) {
+                    this.setState('patrol');
+                    this.direction = this.facing;
+                    this.speedX = 0;
+                } else if (!this.moveTowards(this.homeSurface, this.patrolStartX + this.width / 2, this.patrolSpeed)) {
+                    // There is no way back up to the post, so the enemy makes a new one where it is.
+                    this.patrolStartX = this.x;
+                    this.homeSurface = this.getSurface();
+                    this.setState('patrol');
+                }
+                break;
+            }
+        }
+
+        // --- Animation Control ---
+        if (this.state !== 'attack') {
+            if (this.speedX !== 0) {
+                this.animationManager.EnemyWalkAnim();
+            } else {
+                this.animationManager.EnemyIdleAnim();
+            }
+        }
+    }
+
+    /**
+     * Walks towards the current waypoint. Once there (or at the end of a platform) the enemy
+     * pauses, then heads for the next one, back and forth along the path.
+     */
+    walkPatrol() {
+        const offset = this.patrolStartX + this.patrolPath[this.waypointIndex] - this.x;
+        const direction = offset < 0 ? 'left' : 'right';
+        if (Math.abs(offset) > this.patrolSpeed && !this.isAtLedge(direction)) {
+            this.direction = direction;
+            this.speedX = Math.sign(offset) * this.patrolSpeed;
+            return;
+        }
+
+        const next = this.waypointIndex + this.waypointStep;
+        if (next < 0 || next >= this.patrolPath.length) {
+            this.waypointStep = -this.waypointStep;
+        }
+        this.waypointIndex = Math.max(0, Math.min(this.patrolPath.length - 1, this.waypointIndex + this.waypointStep));
+        this.patrolWaitTimer = this.patrolPause;
+    }
+
+    /**
+     * Lobs a projectile in an arc that comes down where the player is now.
+     */
+    throwProjectile() {
+        const player = this.game.player;
+        const handX = this.x + this.width / 2 + (this.direction === 'right' ? 20 : -20);
+        const handY = this.y + this.height * 0.35;
+        const targetX = player.x + player.width / 2;
+        const targetY = player.y + player.height / 2;
+
+        // Solve for the speeds that reach the target after flightTicks ticks of gravity.
+        const ticks = this.projectile.flightTicks;
+        const gravity = this.projectile.gravity;
+        const speedX = (targetX - handX) / ticks;
+        const speedY = (targetY - handY - gravity * ticks * (ticks + 1) / 2) / ticks;
+
+        const projectile = new Bullet(this.game, handX, handY, speedX < 0 ? 'left' : 'right', {
+            owner: this,
+            faction: 'enemy',
+            speed: Math.abs(speedX),
+            speedY,
+            gravity,
+            damage: this.attackDamage,
+            maxDistance: this.projectile.maxDistance,
+            isBlockedByLevel: true,
+            style: this.projectile.style
+        });
+        this.game.world.add(projectile, { tags: ['bullet', this.projectile.style], layer: LAYERS.PROJECTILES });
+        this.hasThrownThisAttack = true;
+    }
+
+    /**
+     * Checks whether the swing is held on its wind-up frame, telegraphing the attack.
+     * @returns {boolean}
+     */
+    isWindingUp() {
+        return this.state === 'attack' &&
+            this.animationManager.currentAnimationName === 'attack' &&
+            this.animationManager.currentFrame === this.attackWindupFrame &&
+            this.windupTimer < this.attackWindupDuration;
+    }
+
+    /**
+     * Makes the enemy climb out of the ground where it stands, e.g. out of a grave.
+     * It can neither hurt nor be hurt until it is all the way up; then it turns on the player.
+     * @param {number} duration ms the climb takes.
+     */
+    emerge(duration) {
+        this.emergeDuration = duration;
+        this.emergeToY = this.environment.groundLevel - this.height + this.verticalOffset;
+        this.emergeFromY = this.emergeToY + this.height;
+        this.emergeDustTimer = 0;
+        this.y = this.emergeFromY;
+        this.speedX = 0;
+        this.speedY = 0;
+        this.setState('emerging');
+        this.animationManager.EnemyWalkAnim();
+    }
+
+    /**
+     * Raises the emerging enemy a little further, kicking up dirt as it goes.
+     * @param {number} deltaTime - Time since the last frame.
+     */
+    updateEmergence(deltaTime) {
+        this.stateTimer += deltaTime;
+        const progress = Math.min(1, this.stateTimer / this.emergeDuration);
+        const eased = 1 - (1 - progress) * (1 - progress); // Fast out of the earth, slowing at the top
+        this.y = this.emergeFromY + (this.emergeToY - this.emergeFromY) * eased;
+
+        this.emergeDustTimer += deltaTime;
+        if (this.emergeDustTimer >= 150) {
+            this.emergeDustTimer = 0;
+            this.game.createFootstepEffect(this.x + this.width / 2, this.environment.groundLevel, 4, null);
+        }
+
+        if (progress >= 1) {
+            this.facePlayer();
+            this.setState('notice');
+        }
+    }
+
+    /**
+     * Wakes a dormant enemy (a boss whose fight begins).
+     */
+    wake() {
+        if (this.state === 'dormant') {
+            this.setState('notice');
+        }
+    }
+
+    /**
+     * Enters the next phases once health has dropped below their thresholds.
+     */
+    updatePhase() {
+        while (this.phaseIndex < this.phases.length &&
+            this.health > 0 &&
+            this.health < this.phases[this.phaseIndex].healthBelow * this.maxHealth) {
+            const { healthBelow, ...overrides } = this.phases[this.phaseIndex];
+            Object.assign(this, overrides);
+            this.phaseIndex++;
+            this.game.events.emit(GAME_EVENTS.ENEMY_PHASE_CHANGED, { enemy: this, phase: this.phaseIndex });
+        }
+    }
+
+    /**
+     * Puts a boss back to sleep at its post with full health and its first phase,
+     * so a new attempt at the fight starts from scratch.
+     */
+    resetForRetry() {
+        const type = ENEMY_TYPES[this.typeId];
+        this.phases.forEach(phase => {
+            Object.keys(phase).forEach(key => {
+                if (key !== 'healthBelow') this[key] = type[key];
+            });
+        });
+        this.phaseIndex = 0;
+        this.health = this.maxHealth;
+        this.x = this.patrolStartX;
+        this.speedX = 0;
+        this.direction = this.facing;
+        this.setState('dormant');
+        this.animationManager.EnemyIdleAnim();
+    }
+
+    /**
+     * Turns the sprite white for a moment, to show a hit landed.
+     * @param {number} duration - ms the flash lasts.
+     */
+    flash(duration) {
+        this.flashTimer = duration;
     }
 
     /**
      * Reduces the enemy's health when it takes damage.
      * @param {number} damage - The amount of damage to inflict.
+     * @param {number} [hitX] - Where the hit landed; defaults to the enemy's center.
+     * @param {number} [hitY] - Where the hit landed; defaults to the enemy's center.
+     * @param {string|null} [source=null] - What hit it: 'melee' (the knife) or 'projectile'.
      */
-    takeDamage(damage) {
-        if (this.isDead) return;
+    takeDamage(damage, hitX = this.x + this.width / 2, hitY = this.y + this.height / 2, source = null) {
+        if (this.isDead || this.state === 'dormant' || this.state === 'emerging') return;
         this.health -= damage;
+        this.updatePhase();
+
+        // A hit from behind or afar wakes the enemy up.
+        if (this.state === 'patrol' || this.state === 'return') {
+            this.setState('notice');
+        }
 
         if (this.health <= 0) {
             this.health = 0;
             this.isDead = true;
             this.speedX = 0;
             this.animationManager.EnemyDeadAnim();
-            this.audioManager.playSound('enemyDeath', true);
-        } else {
-            this.audioManager.playSound('enemyHit', true);
+        }
+
+        this.game.events.emit(GAME_EVENTS.ENEMY_DAMAGED, { enemy: this, damage, x: hitX, y: hitY, source });
+        if (this.isDead) {
+            this.game.events.emit(GAME_EVENTS.ENEMY_KILLED, { enemy: this });
         }
     }
 
@@ -70,8 +716,10 @@ export class Enemy {
      * @param {number} deltaTime - Time since the last frame.
      */
     update(deltaTime) {
+        this.flashTimer = Math.max(0, this.flashTimer - deltaTime);
+
         // If the game is over, stop all AI and revert to idle, but keep animating.
-        if (this.game.gameState === 'GAME_OVER') {
+        if (this.game.gameState === 'ENDING') {
             if (!this.isDead) {
                 this.animationManager.EnemyIdleAnim();
             }
@@ -79,54 +727,24 @@ export class Enemy {
             return;
         }
 
-        if (!this.isDead) {
+        if (this.state === 'emerging') {
+            this.updateEmergence(deltaTime);
+        } else if (!this.isDead) {
             // --- AI & Horizontal Movement ---
+            this.updateAI(deltaTime);
             this.x += this.speedX;
 
-            // Check patrol boundaries and turn around
-            if (this.direction === 'left' && this.x < this.patrolStartX - this.patrolRange) {
-                this.direction = 'right';
-                this.speedX = 1;
-            } else if (this.direction === 'right' && this.x > this.patrolStartX) {
-                this.direction = 'left';
-                this.speedX = -1;
-            }
-            
-            // --- Animation Control ---
-            if(this.speedX !== 0) {
-                this.animationManager.EnemyWalkAnim();
-            } else {
-                this.animationManager.EnemyIdleAnim();
-            }
-
             // --- Physics & Vertical Movement ---
             const previousY = this.y;
             this.speedY += this.gravity;
             this.y += this.speedY;
 
-            let landedOnPlatform = false;
-            
-            const enemyHitboxX = this.x + this.hitboxOffsetX;
-            
-            if (this.speedY > 0) {
-                for (const platform of this.environment.platforms) {
-                    if (
-                        enemyHitboxX < platform.x + platform.width &&
-                        enemyHitboxX + this.hitboxWidth > platform.x &&
-                        previousY + this.height <= platform.y + this.verticalOffset &&
-                        this.y + this.height >= platform.y
-                    ) {
-                        this.y = platform.y - this.height + this.verticalOffset;
-                        this.speedY = 0;
-                        landedOnPlatform = true;
-                        break;
-                    }
-                }
+            this.isGrounded = landOnSurfaces(this, previousY, this.environment);
+            if (this.isGrounded) {
+                this.jumpLink = null;
             }
-
-            if (!landedOnPlatform && this.y + this.height > this.environment.groundLevel) {
-                this.y = this.environment.groundLevel - this.height + this.verticalOffset;
-                this.speedY = 0;
+            if (this.isGrounded && !this.homeSurface) {
+                this.homeSurface = this.getSurface();
             }
         } else {
             // If dead, check if ready to be removed after animation
@@ -151,19 +769,22 @@ export class Enemy {
             }
         }
         
-        this.animationManager.update(deltaTime);
+        // Hold the wind-up frame for a moment, so the player can read the swing coming.
+        if (!this.isWindingUp()) {
+            this.animationManager.update(deltaTime);
+        }
     }
 
     /**
-     * Draws the enemy and its health bar on the canvas.
+     * Draws the enemy, its health bar and its alert mark on the canvas.
      * @param {CanvasRenderingContext2D} context - The drawing context.
      */
     draw(context) {
         context.save();
         context.globalAlpha = this.alpha;
 
-        // Draw health bar if damaged
-        if (this.health < this.maxHealth && !this.isDead) {
+        // Draw health bar if damaged (a boss has its own in the HUD)
+        if (this.health < this.maxHealth && !this.isDead && !this.isBoss) {
             const barWidth = this.width * 0.8;
             const barHeight = 10;
             const barX = this.x + (this.width - barWidth) / 2;
@@ -202,6 +823,14 @@ export class Enemy {
         }
         
         context.save();
+        context.filter = this.flashTimer > 0 ? 'brightness(0) invert(1)' : this.filter; // A white silhouette while flashing
+        if (this.state === 'emerging') {
+            // Hide the part still below the ground.
+            const groundLevel = this.environment.groundLevel;
+            context.beginPath();
+            context.rect(this.x, this.y, this.width, Math.max(0, groundLevel - this.y));
+            context.clip();
+        }
         if (this.direction === 'left') {
             context.scale(-1, 1);
             this.animationManager.draw(context, -this.x - this.width, this.y, this.width, this.height);
@@ -210,6 +839,14 @@ export class Enemy {
         }
         context.restore();
 
+        // An exclamation mark while the enemy notices the player
+        if (this.state === 'notice') {
+            context.fillStyle = '#FFC107';
+            context.font = 'bold 28px "Segoe UI"';
+            context.textAlign = 'center';
+            context.fillText('!', this.x + this.width / 2, this.y + 10);
+        }
+
         context.restore();
     }
 }
\ No newline at end of file
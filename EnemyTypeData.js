@@ -0,0 +1,234 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { ENEMY_ANIMATIONS } from './EnemyAnimationData.js';
+
+// =================================================================
+// == ENEMY TYPE CONFIGURATION ==
+// =================================================================
+// Every kind of enemy is described here; LevelData.js places them by type id.
+// To add a new kind, copy an entry and tune its numbers. Times are in ms, speeds in pixels per tick.
+// 'filter' is a canvas filter applied to the sprites, so types can share animations but still look different.
+// 'sounds' name entries of AudioData.js.
+// 'attackStyle' is 'melee' (a swing that deals attackDamage within attackRange), 'ranged'
+// (a lobbed 'projectile' thrown from up to throwRange away, while keeping preferredDistance from the player)
+// or 'mixed' (swings up close, throws from further away).
+// 'patrolRange' is how far an enemy walks to the left of its post and back, unless LevelData.js gives it
+// a patrol of its own; 0 makes it stand guard.
+// 'jumpSpeed' is the upward speed of a jump onto a platform; enemies that cannot jump (0) can still drop down.
+// 'drops' is the loot table, rolled when the enemy is defeated: every entry drops with its 'chance'
+// (0..1), between 'min' and 'max' of the item at once (1 if not given). Items are keys of LootData.js.
+// Bosses ('isBoss') have a 'name' for their health bar, wait 'dormant' until their arena wakes them, and
+// change 'phases' as they lose health: each phase overrides some of the numbers above once the
+// boss's health drops below 'healthBelow' (a fraction of its maximum).
+
+export const ENEMY_TYPES = {
+    // The standard graveyard zombie
+    zombie: {
+        animations: ENEMY_ANIMATIONS,
+        filter: 'none',
+        width: 128,
+        height: 128,
+        hitboxWidth: 40,
+        verticalOffset: 10,
+
+        health: 100,
+        patrolSpeed: 1,
+        chaseSpeed: 2.5,
+        patrolRange: 150,
+        jumpSpeed: 20, // Clears the low platforms
+
+        attackStyle: 'melee',
+        contactDamage: 10,
+        attackDamage: 20,
+        attackRange: 60,
+        attackWindupFrame: 2,
+        attackWindupDuration: 400,
+        attackDamageFrame: 4,
+
+        sightRange: 350,
+        hearingRange: 80,
+        loseSightRange: 500,
+        leashRange: 600,
+        noticeDuration: 400,
+        recoverDuration: 600,
+
+        drops: [
+            { item: 'coin', chance: 0.8, min: 1, max: 3 },
+            { item: 'health', chance: 0.2 },
+            { item: 'ammo', chance: 0.3 },
+        ],
+
+        sounds: { hit: 'enemyHit', death: 'enemyDeath' },
+    },
+
+    // Fast and fragile: quick to notice, quick to swing, quick to go down
+    ghoul: {
+        animations: ENEMY_ANIMATIONS,
+        filter: 'hue-rotate(90deg) saturate(0.6) brightness(1.2)',
+        width: 112,
+        height: 112,
+        hitboxWidth: 34,
+        verticalOffset: 9,
+
+        health: 50,
+        patrolSpeed: 1.8,
+        chaseSpeed: 4,
+        patrolRange: 220,
+        jumpSpeed: 25, // Clears every platform
+
+        attackStyle: 'melee',
+        contactDamage: 5,
+        attackDamage: 10,
+        attackRange: 50,
+        attackWindupFrame: 2,
+        attackWindupDuration: 200,
+        attackDamageFrame: 4,
+
+        sightRange: 420,
+        hearingRange: 120,
+        loseSightRange: 600,
+        leashRange: 800,
+        noticeDuration: 200,
+        recoverDuration: 400,
+
+        drops: [
+            { item: 'coin', chance: 0.6, min: 1, max: 2 },
+            { item: 'ammo', chance: 0.25 },
+        ],
+
+        sounds: { hit: 'enemyHit', death: 'enemyDeath' },
+    },
+
+    // Slow and heavy: a long, readable wind-up, but it hurts
+    brute: {
+        animations: ENEMY_ANIMATIONS,
+        filter: 'sepia(0.6) hue-rotate(-30deg) saturate(1.8) brightness(0.8)',
+        width: 160,
+        height: 160,
+        hitboxWidth: 56,
+        verticalOffset: 12,
+
+        health: 250,
+        patrolSpeed: 0.6,
+        chaseSpeed: 1.6,
+        patrolRange: 100,
+        jumpSpeed: 0, // Too heavy to jump
+
+        attackStyle: 'melee',
+        contactDamage: 20,
+        attackDamage: 40,
+        attackRange: 75,
+        attackWindupFrame: 2,
+        attackWindupDuration: 700,
+        attackDamageFrame: 4,
+
+        sightRange: 300,
+        hearingRange: 60,
+        loseSightRange: 450,
+        leashRange: 450,
+        noticeDuration: 600,
+        recoverDuration: 900,
+
+        drops: [
+            { item: 'coin', chance: 1, min: 3, max: 6 },
+            { item: 'health', chance: 0.6 },
+            { item: 'ammo', chance: 0.4, min: 1, max: 2 },
+        ],
+
+        sounds: { hit: 'enemyHit', death: 'enemyDeath' },
+    },
+
+    // Keeps its distance and lobs skulls in an arc; they break on platforms and on the knife
+    skeleton: {
+        animations: ENEMY_ANIMATIONS,
+        filter: 'grayscale(1) brightness(1.5)',
+        width: 128,
+        height: 128,
+        hitboxWidth: 36,
+        verticalOffset: 10,
+
+        health: 70,
+        patrolSpeed: 0.8,
+        chaseSpeed: 2,
+        patrolRange: 120,
+        jumpSpeed: 20,
+
+        attackStyle: 'ranged',
+        contactDamage: 5,
+        attackDamage: 15,
+        attackRange: 0,
+        attackWindupFrame: 2,
+        attackWindupDuration: 350,
+        attackDamageFrame: 4, // The frame in which the skull leaves the hand
+        throwRange: 450,
+        preferredDistance: 250,
+        projectile: { style: 'skull', gravity: 0.4, flightTicks: 50, maxDistance: 900 },
+
+        sightRange: 500,
+        hearingRange: 80,
+        loseSightRange: 650,
+        leashRange: 500,
+        noticeDuration: 400,
+        recoverDuration: 900,
+
+        drops: [
+            { item: 'coin', chance: 0.8, min: 1, max: 3 },
+            { item: 'ammo', chance: 0.6, min: 1, max: 2 },
+        ],
+
+        sounds: { hit: 'enemyHit', death: 'enemyDeath' },
+    },
+
+    // The boss guarding the treasure chest
+    graveKeeper: {
+        isBoss: true,
+        name: { en: 'The Grave Keeper', ka: 'საფლავების მცველი' },
+        animations: ENEMY_ANIMATIONS,
+        filter: 'hue-rotate(200deg) saturate(1.6) brightness(0.85)',
+        width: 220,
+        height: 220,
+        hitboxWidth: 80,
+        verticalOffset: 17,
+
+        health: 600,
+        patrolSpeed: 1,
+        chaseSpeed: 1.6,
+        patrolRange: 0, // Stands guard
+        jumpSpeed: 0,
+
+        attackStyle: 'melee',
+        contactDamage: 20,
+        attackDamage: 30,
+        attackRange: 90,
+        attackWindupFrame: 2,
+        attackWindupDuration: 700,
+        attackDamageFrame: 4,
+        throwRange: 700,
+        preferredDistance: 0,
+        projectile: { style: 'skull', gravity: 0.4, flightTicks: 45, maxDistance: 1000 },
+
+        sightRange: 1000,
+        hearingRange: 1000,
+        loseSightRange: 1000,
+        leashRange: 1000,
+        noticeDuration: 800,
+        recoverDuration: 900,
+
+        phases: [
+            // Enraged: faster, and the wind-up gets shorter
+            { healthBelow: 0.6, chaseSpeed: 2.6, attackWindupDuration: 450, recoverDuration: 650 },
+            // Desperate: hurls skulls from afar and still swings up close
+            { healthBelow: 0.3, attackStyle: 'mixed', attackDamage: 25, attackWindupDuration: 350, recoverDuration: 500 },
+        ],
+
+        drops: [
+            { item: 'coin', chance: 1, min: 12, max: 16 },
+            { item: 'health', chance: 1, min: 2, max: 2 },
+            { item: 'ammo', chance: 1, min: 2, max: 3 },
+        ],
+
+        sounds: { hit: 'enemyHit', death: 'enemyDeath' },
+    },
+};
@@ -4,6 +4,7 @@
  */
 import { ENVIRONMENT_DATA } from './EnvironmentData.js';
 import { BlinkingEyes } from './BlinkingEyes.js';
+import { NavigationGraph } from './NavigationGraph.js';
 
 /**
  * Manages loading and drawing all environment assets, including backgrounds and tile-based terrain.
@@ -19,6 +20,8 @@ export class Environment {
         this.groundLevel = 0; // The Y-coordinate of the top of the ground tiles
         
         // Layout for platforms
+        // Platforms are one-way: they can be jumped through from below and dropped through
+        // (down + jump). 'solid' ones can be neither.
         this.platformLayout = [
             // First Half
             { x: 750,  y: 350, tiles: 1 },
@@ -26,15 +29,18 @@ export class Environment {
             { x: 2600, y: 200, tiles: 1 },
             // Second Half (duplciated and offset)
             { x: 750 + 3000,  y: 350, tiles: 1 },
-            { x: 1600 + 3000, y: 250, tiles: 1 },
+            { x: 1600 + 3000, y: 250, tiles: 1, solid: true },
             { x: 2600 + 3000, y: 200, tiles: 1 },
         ];
         this.platforms = []; // To store calculated platform dimensions
+        this.navigationGraph = null; // How enemies get between the ground and the platforms, built once they are measured
 
         // Layout for static decorations
+        // Tall ones with a 'wallWidth' can be slid down and jumped off (once the ability is unlocked);
+        // it is the share of the image's width, around its middle, that counts as the wall (e.g. a trunk).
         this.decorationsLayout = [
             // First Half
-            { assetKey: 'tree', x: 220, scale: 1.0},
+            { assetKey: 'tree', x: 220, scale: 1.0, wallWidth: 0.2 },
             { assetKey: 'tombstones', index: 0, x: 550, scale: 0.45 },
             { assetKey: 'sign', index: 0, x: 850, scale: 0.3},
             { assetKey: 'bushes', index: 1, x: 980, scale: 0.5 },
@@ -44,9 +50,9 @@ export class Environment {
             { assetKey: 'tombstones', index: 1, x: 2000, scale: 0.45 },
             { assetKey: 'arrowSign', x: 2250, scale: 0.3 },
             { assetKey: 'bushes', index: 0, x: 2450, scale: 0.3 },
-            { assetKey: 'tree', x: 2750, scale: 0.7 },
+            { assetKey: 'tree', x: 2750, scale: 0.7, wallWidth: 0.2 },
             // Second Half (duplicated and offset)
-            { assetKey: 'tree', x: 220 + 3000, scale: 1.0},
+            { assetKey: 'tree', x: 220 + 3000, scale: 1.0, wallWidth: 0.2 },
             { assetKey: 'tombstones', index: 2, x: 550 + 3000, scale: 0.45 },
             { assetKey: 'sign', index: 0, x: 850 + 3000, scale: 0.3},
             { assetKey: 'bushes', index: 1, x: 980 + 3000, scale: 0.5 },
@@ -56,7 +62,7 @@ export class Environment {
            // { assetKey: 'tombstones', index: 1, x: 2000 + 3000, scale: 0.45 },
             { assetKey: 'arrowSign', x: 2250 + 3000, scale: 0.3 },
             { assetKey: 'bushes', index: 0, x: 2450 + 3000, scale: 0.3 },
-            { assetKey: 'tree', x: 2750 + 3000, scale: 0.7 },
+            { assetKey: 'tree', x: 2750 + 3000, scale: 0.7, wallWidth: 0.2 },
         ];
 
         this.blinkingEyes = []; // Array to hold the eye instances
@@ -72,7 +78,15 @@ export class Environment {
 
 
     /**
-     * Preloads all images specified in EnvironmentData.js.
+     * Restores the environment's dynamic elements to their initial state for a new game.
+     */
+    reset() {
+        this.blinkingEyes = [];
+        this.createBlinkingEyes();
+    }
+
+    /**
+     * Preloads all images specified in EnvironmentData.js through the game's asset loader.
      * @returns {Promise<void>} A promise that resolves when all assets are loaded.
      */
     async loadAssets() {
@@ -81,14 +95,8 @@ export class Environment {
             const urls = ENVIRONMENT_DATA[key];
             this.assets[key] = [];
             for (const url of urls) {
-                const promise = new Promise((resolve, reject) => {
-                    const img = new Image();
-                    img.onload = () => {
-                        this.assets[key].push(img);
-                        resolve();
-                    };
-                    img.onerror = () => reject(`Failed to load image: ${url}`);
-                    img.src = url;
+                const promise = this.game.assetLoader.loadImage(url).then(img => {
+                    this.assets[key].push(img);
                 });
                 promises.push(promise);
             }
@@ -98,6 +106,7 @@ export class Environment {
             await Promise.all(promises);
             this.isLoaded = true;
             this.calculateDimensions();
+            this.navigationGraph = new NavigationGraph(this.platforms, this.groundLevel, this.worldWidth);
             this.createBlinkingEyes(); // Create eyes after assets are loaded
             console.log("All environment assets preloaded successfully.");
         } catch (error) {
@@ -120,14 +129,54 @@ export class Environment {
                     const bushY = this.groundLevel - bushHeight;
 
                     // Add one pair of eyes to each bush.
-                    const eyeX = deco.x + (Math.random() * 0.4 + 0.3) * bushWidth; // Center-ish X
-                    const eyeY = bushY + (Math.random() * 0.3 + 0.4) * bushHeight; // Center-ish Y
+                    const eyeX = deco.x + (this.game.random.next() * 0.4 + 0.3) * bushWidth; // Center-ish X
+                    const eyeY = bushY + (this.game.random.next() * 0.3 + 0.4) * bushHeight; // Center-ish Y
                     this.blinkingEyes.push(new BlinkingEyes(this.game, eyeX, eyeY));
                 }
             }
         });
     }
 
+    /**
+     * Gets where a decoration stands: its scaled image, sitting on the ground.
+     * @param {Object} decoration An entry of decorationsLayout.
+     * @returns {{x: number, y: number, width: number, height: number}|null} Null if its image is missing.
+     */
+    getDecorationBounds(decoration) {
+        const image = this.assets[decoration.assetKey]?.[decoration.index || 0];
+        if (!image) return null;
+
+        const scale = decoration.scale || 1;
+        const width = image.width * scale;
+        const height = image.height * scale;
+        return { x: decoration.x, y: this.groundLevel - height, width, height };
+    }
+
+    /**
+     * Gets the walls the player can slide down: the solid part of every decoration with a wallWidth.
+     * @returns {Array<{x: number, y: number, width: number, height: number}>}
+     */
+    getWalls() {
+        const walls = [];
+        this.decorationsLayout.forEach(decoration => {
+            const bounds = decoration.wallWidth ? this.getDecorationBounds(decoration) : null;
+            if (!bounds) return;
+            const width = bounds.width * decoration.wallWidth;
+            walls.push({ x: bounds.x + (bounds.width - width) / 2, y: bounds.y, width, height: bounds.height });
+        });
+        return walls;
+    }
+
+    /**
+     * Finds the tombstone placed at an x-coordinate, e.g. for a grave that raises enemies.
+     * @param {number} x The x-coordinate of the tombstone in decorationsLayout.
+     * @returns {{x: number, y: number, width: number, height: number}|null} Its bounds, or null if there is none.
+     */
+    findTombstone(x) {
+        const decoration = this.decorationsLayout.find(deco => deco.assetKey === 'tombstones' && deco.x === x);
+        return decoration ? this.getDecorationBounds(decoration) : null;
+    }
+
     /**
      * Calculates the pixel dimensions and positions of all procedural elements like ground and platforms.
      */
@@ -149,7 +198,8 @@ export class Environment {
                 x: layout.x,
                 y: layout.y,
                 width: platformWidth,
-                height: tileHeight
+                height: tileHeight,
+                isSolid: !!layout.solid
             });
         }
     }
@@ -225,19 +275,11 @@ export class Environment {
         
         // Draw Decorations
         for(const decoration of this.decorationsLayout) {
-            const assetKey = decoration.assetKey;
-            const assetIndex = decoration.index || 0;
-            const image = this.assets[assetKey]?.[assetIndex];
-            const scale = decoration.scale || 1;
-
-            if (image) {
-                const scaledWidth = image.width * scale;
-                const scaledHeight = image.height * scale;
-
-                if (decoration.x + scaledWidth >= cameraLeft && decoration.x <= cameraRight) {
-                    const yPos = this.groundLevel - scaledHeight; // Place on top of the ground, accounting for scale
-                    context.drawImage(image, decoration.x, yPos, scaledWidth, scaledHeight);
-                }
+            const bounds = this.getDecorationBounds(decoration); // Placed on top of the ground, accounting for scale
+
+            if (bounds && bounds.x + bounds.width >= cameraLeft && bounds.x <= cameraRight) {
+                const image = this.assets[decoration.assetKey][decoration.index || 0];
+                context.drawImage(image, bounds.x, bounds.y, bounds.width, bounds.height);
             }
         }
 
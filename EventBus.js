@@ -0,0 +1,116 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * The gameplay events and the payload each one carries. Only these can be published,
+ * so a typo in an event name fails loudly instead of silently reaching no one.
+ *
+ * @typedef {{enemy: Enemy, spawner: TombstoneSpawner}} EnemySpawnedEvent
+ *     Sent when the enemy starts rising out of its grave.
+ * @typedef {{enemy: Enemy, damage: number, x: number, y: number, source: string|null}} EnemyDamagedEvent
+ *     x/y is where the hit landed; source is 'melee' for the knife, 'projectile' for a bullet.
+ * @typedef {{enemy: Enemy}} EnemyKilledEvent
+ * @typedef {{player: Player}} PlayerJumpedEvent
+ *     Also sent for double jumps and wall jumps.
+ * @typedef {{player: Player}} PlayerDashedEvent
+ * @typedef {{player: Player, x: number, y: number}} PlayerLandedEvent
+ *     x/y is the point under the player's feet.
+ * @typedef {{player: Player, damage: number, x: number, y: number}} PlayerDamagedEvent
+ *     x/y is where the hit landed.
+ * @typedef {{player: Player}} PlayerDiedEvent
+ * @typedef {{player: Player, checkpoint: Checkpoint|null}} PlayerRespawnedEvent
+ *     checkpoint is null when the player respawns where the run started.
+ * @typedef {{checkpoint: Checkpoint}} CheckpointReachedEvent
+ * @typedef {{enemy: Enemy, phase: number}} EnemyPhaseChangedEvent
+ *     phase counts from 0, the phase the enemy starts in.
+ * @typedef {{arena: BossArena, boss: Enemy}} BossFightEvent
+ * @typedef {{chest: TreasureChest}} ChestOpenedEvent
+ * @typedef {{pickup: Pickup, player: Player}} LootCollectedEvent
+ * @typedef {{ability: string, player: Player, pickup: AbilityPickup}} AbilityUnlockedEvent
+ *     ability is a key of ABILITIES.
+ * @typedef {{dialogue: Object}} DialogueFinishedEvent
+ *     The last dialogue of the sequence that just finished.
+ */
+export const GAME_EVENTS = {
+    ENEMY_SPAWNED: 'enemySpawned',            // EnemySpawnedEvent
+    ENEMY_DAMAGED: 'enemyDamaged',            // EnemyDamagedEvent, also sent for the killing blow
+    ENEMY_KILLED: 'enemyKilled',              // EnemyKilledEvent
+    ENEMY_PHASE_CHANGED: 'enemyPhaseChanged', // EnemyPhaseChangedEvent
+    BOSS_FIGHT_STARTED: 'bossFightStarted',   // BossFightEvent
+    BOSS_FIGHT_RESET: 'bossFightReset',       // BossFightEvent, when the player dies in the arena
+    BOSS_DEFEATED: 'bossDefeated',            // BossFightEvent
+    PLAYER_JUMPED: 'playerJumped',            // PlayerJumpedEvent
+    PLAYER_DASHED: 'playerDashed',            // PlayerDashedEvent
+    PLAYER_LANDED: 'playerLanded',            // PlayerLandedEvent
+    PLAYER_DAMAGED: 'playerDamaged',          // PlayerDamagedEvent, also sent for the killing blow
+    PLAYER_DIED: 'playerDied',                // PlayerDiedEvent
+    PLAYER_RESPAWNED: 'playerRespawned',      // PlayerRespawnedEvent
+    CHECKPOINT_REACHED: 'checkpointReached',  // CheckpointReachedEvent
+    CHEST_OPENED: 'chestOpened',              // ChestOpenedEvent
+    LOOT_COLLECTED: 'lootCollected',          // LootCollectedEvent
+    ABILITY_UNLOCKED: 'abilityUnlocked',      // AbilityUnlockedEvent
+    DIALOGUE_FINISHED: 'dialogueFinished',    // DialogueFinishedEvent
+};
+
+const KNOWN_EVENTS = new Set(Object.values(GAME_EVENTS));
+
+/**
+ * A publish/subscribe hub, so gameplay code can announce what happened without knowing
+ * who reacts to it (sounds, particles, the HUD, scenes, ...).
+ * Handlers run synchronously, in the order they subscribed.
+ */
+export class EventBus {
+    constructor() {
+        this.handlers = new Map(); // Event name -> array of handlers
+    }
+
+    /**
+     * Subscribes to an event.
+     * @param {string} type One of GAME_EVENTS.
+     * @param {function(Object): void} handler Called with the event's payload.
+     * @returns {function(): void} Unsubscribes the handler again.
+     */
+    on(type, handler) {
+        this.assertKnown(type);
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, []);
+        }
+        this.handlers.get(type).push(handler);
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * Unsubscribes a handler.
+     * @param {string} type One of GAME_EVENTS.
+     * @param {function(Object): void} handler The handler passed to on().
+     */
+    off(type, handler) {
+        const handlers = this.handlers.get(type);
+        if (handlers) {
+            this.handlers.set(type, handlers.filter(h => h !== handler));
+        }
+    }
+
+    /**
+     * Publishes an event to every subscriber.
+     * @param {string} type One of GAME_EVENTS.
+     * @param {Object} [payload={}] The event's data, see the typedefs above.
+     */
+    emit(type, payload = {}) {
+        this.assertKnown(type);
+        // Copy, so handlers that (un)subscribe while handling don't disturb this round.
+        const handlers = [...(this.handlers.get(type) || [])];
+        handlers.forEach(handler => handler(payload));
+    }
+
+    /**
+     * @param {string} type An event name to check.
+     */
+    assertKnown(type) {
+        if (!KNOWN_EVENTS.has(type)) {
+            throw new Error(`Unknown game event: ${type}`);
+        }
+    }
+}
@@ -12,24 +12,24 @@ export class FootstepParticle {
         this.x = x;
         this.y = y;
 
-        this.size = Math.random() * 4 + 2; // Small motes
+        this.size = this.game.random.next() * 4 + 2; // Small motes
 
         // If a direction is given (for running), kick particles backwards.
         // Otherwise (for landing), create a symmetrical puff.
         if (direction) {
             const horizontalVelocity = direction === 'right' ? -1.5 : 1.5;
-            this.speedX = (Math.random() - 0.5) * 1 + horizontalVelocity;
+            this.speedX = (this.game.random.next() - 0.5) * 1 + horizontalVelocity;
         } else {
-            this.speedX = (Math.random() - 0.5) * 3; // Symmetrical spread
+            this.speedX = (this.game.random.next() - 0.5) * 3; // Symmetrical spread
         }
         
-        this.speedY = Math.random() * -1.5 - 0.5; // Slight upward pop
+        this.speedY = this.game.random.next() * -1.5 - 0.5; // Slight upward pop
         this.gravity = 0.08;
 
-        this.maxLife = Math.random() * 40 + 20; // Short lifespan
+        this.maxLife = this.game.random.next() * 40 + 20; // Short lifespan
         this.life = this.maxLife;
         // Dusty brown/grey color
-        this.color = `rgba(150, 120, 90, ${Math.random() * 0.3 + 0.2})`;
+        this.color = `rgba(150, 120, 90, ${this.game.random.next() * 0.3 + 0.2})`;
 
         this.markedForDeletion = false;
     }
@@ -0,0 +1,1140 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { PLAYER_ANIMATIONS } from './PlayerAnimationData.js';
+import { PlayerController } from './PlayerController.js';
+import { Environment } from './Environment.js';
+import { Camera } from './Camera.js';
+import { Enemy } from './Enemy.js';
+import { TreasureChest } from './TreasureChest.js';
+import { Checkpoint } from './Checkpoint.js';
+import { BossArena } from './BossArena.js';
+import { TombstoneSpawner } from './TombstoneSpawner.js';
+import { Pickup } from './Pickup.js';
+import { AbilityPickup } from './AbilityPickup.js';
+import { ABILITIES } from './AbilityData.js';
+import { Particle } from './Particle.js';
+import { SmokeParticle } from './SmokeParticle.js';
+import { DustParticle } from './DustParticle.js';
+import { FootstepParticle } from './FootstepParticle.js';
+import { ResumeScroll } from './ResumeScroll.js';
+import { RESUME_SCROLL_DATA } from './ResumeScrollData.js';
+import { Player } from './Player.js';
+import { PauseMenu } from './PauseMenu.js';
+import { LEVEL_DATA } from './LevelData.js';
+import { Random } from './Random.js';
+import { InputRecorder } from './InputRecorder.js';
+import { ReplayInput } from './ReplayInput.js';
+import { SceneManager } from './SceneManager.js';
+import { World, LAYERS } from './World.js';
+import { CollisionSystem } from './CollisionSystem.js';
+import { SaveManager } from './SaveManager.js';
+import { DebugOverlay } from './DebugOverlay.js';
+import { CombatFeedback } from './CombatFeedback.js';
+import { EventBus, GAME_EVENTS } from './EventBus.js';
+import { MenuScene } from './MenuScene.js';
+import { IntroScene } from './IntroScene.js';
+import { PlayingScene } from './PlayingScene.js';
+import { PausedScene } from './PausedScene.js';
+import { EndingScene } from './EndingScene.js';
+
+/**
+ * The main game class to orchestrate everything.
+ * It holds the simulation only: it never touches the DOM, the canvas element or the
+ * browser's globals, so it can also run headless (e.g. under Node for automated tests).
+ * Images, audio, input and UI reactions are supplied through injectable adapters.
+ */
+export class Game {
+    /**
+     * @param {Object} options
+     * @param {number} [options.width=1000] - The width of the visible screen.
+     * @param {number} [options.height=600] - The height of the visible screen.
+     * @param {{loadImage: function(string, string=): Promise<Object>}} options.assetLoader - Loads images by URL.
+     * @param {AudioManager} options.audioManager - Plays sounds; silent until its context is initialized.
+     * @param {{keys: Set<string>, attach: Function, detach: Function}} options.input - Supplies the pressed keys.
+     * @param {Object} [options.ui] - Optional hooks for UI reactions (showEndScreen, hideEndScreen, downloadResume, downloadRecording).
+     * @param {number|string} [options.seed] - Seed for all randomness; a fresh one is picked if omitted.
+     * @param {Storage} [options.storage] - Where progress is saved (e.g. localStorage); nothing is saved without it.
+     * @param {boolean} [options.debug=false] - Whether the debug overlay starts visible.
+     */
+    constructor({ width = 1000, height = 600, assetLoader, audioManager, input, ui = {}, seed, storage = null, debug = false }) {
+        this.width = width;
+        this.height = height;
+        this.assetLoader = assetLoader;
+        this.audioManager = audioManager;
+        this.input = input;
+        this.liveInput = input; // The input to return to after a replay
+        this.ui = {
+            showEndScreen() {},
+            hideEndScreen() {},
+            downloadResume() {},
+            downloadRecording() {},
+            ...ui
+        };
+
+        // --- Events ---
+        // Gameplay code announces what happened; sounds and effects react in connectEventHandlers().
+        this.events = new EventBus();
+
+        // --- Saving ---
+        this.saveManager = new SaveManager(storage);
+
+        // --- Debugging ---
+        this.debugOverlay = new DebugOverlay(this, debug);
+
+        // --- Recording & Replay ---
+        this.recorder = new InputRecorder(); // Captures every live run
+        this.replay = null; // The ReplayInput while a recording is being played back
+        this.elapsedTime = 0; // Simulation time in ms, advanced only by ticks
+
+        // --- Randomness ---
+        // Every random decision goes through this seeded generator (audio gets its own stream).
+        this.seed = Random.toSeed(seed ?? Random.generateSeed());
+        this.random = new Random(this.seed);
+        this.audioManager.setRandom(this.random.fork('audio'));
+
+        // --- Fixed-Timestep Simulation ---
+        // The simulation always advances in fixed ticks so movement speeds are the same
+        // on every display; rendering interpolates between the last two ticks.
+        this.fixedTimeStep = 1000 / 60; // ms per simulation tick
+        this.maxFrameTime = 250; // Clamp for long stalls, e.g. after switching tabs
+        this.accumulator = 0;
+        
+        this.worldWidth = this.width * 6; // Game world is 6x wider than the screen
+        this.camera = null;
+
+        this.environment = null;
+        this.player = null;
+        this.playerController = null;
+        this.world = new World(); // Every entity in the level: player, enemies, chests, projectiles, particles
+        this.reachedCheckpoints = []; // Ids of the lit checkpoints, in the order they were reached
+        this.respawnPoint = null; // Where the player comes back after dying: the last checkpoint or where the run started
+        this.collisions = new CollisionSystem(this.worldWidth); // Entities register their hit shapes here
+        this.assets = {};
+
+        // --- Scenes & Dialogue ---
+        // Each game state is a scene that owns its update, drawing and input handling.
+        this.scenes = new SceneManager();
+        [
+            new MenuScene(this),
+            new IntroScene(this),
+            new PlayingScene(this),
+            new PausedScene(this),
+            new EndingScene(this),
+        ].forEach(scene => this.scenes.add(scene));
+        this.scenes.changeTo('MENU');
+        this.pauseMenu = new PauseMenu(this);
+        this.settings = {
+            musicEnabled: true,
+            sfxEnabled: true,
+            damageNumbersEnabled: true,
+            hitFlashEnabled: true,
+            hitStopEnabled: true,
+            screenShakeEnabled: true
+        };
+        this.selectedLanguage = 'en'; // 'en' or 'ka', defaults to English
+        this.dialogueQueue = [];
+        this.currentDialogue = null;
+        this.dialogueTypingSpeed = 50; // ms per character
+        this.resumeDownloadTimer = null; // Counts down to the resume download of the end sequence
+        this.notice = null; // A message shown at the top of the screen for a while, like a newly unlocked ability
+        this.noticeDuration = 4000; // ms
+
+        this.connectEventHandlers();
+        this.combatFeedback = new CombatFeedback(this); // Damage numbers, hit flash, hit-stop and screen shake
+    }
+
+    /**
+     * Subscribes the game's own reactions (sounds, particle effects, the end sequence)
+     * to the gameplay events.
+     */
+    connectEventHandlers() {
+        const events = this.events;
+
+        // --- Sounds ---
+        events.on(GAME_EVENTS.ENEMY_DAMAGED, ({ enemy }) => {
+            if (!enemy.isDead) {
+                this.audioManager.playSound(enemy.sounds.hit, true);
+            }
+        });
+        events.on(GAME_EVENTS.ENEMY_KILLED, ({ enemy }) => this.audioManager.playSound(enemy.sounds.death, true));
+        events.on(GAME_EVENTS.PLAYER_JUMPED, () => this.audioManager.playSound('jump', true));
+        events.on(GAME_EVENTS.PLAYER_DASHED, () => this.audioManager.playSound('dash', true, 0.7));
+        events.on(GAME_EVENTS.ABILITY_UNLOCKED, () => this.audioManager.playSound('abilityUnlock', false, 0.75));
+        events.on(GAME_EVENTS.CHEST_OPENED, () => this.audioManager.playSound('chestOpen'));
+        events.on(GAME_EVENTS.LOOT_COLLECTED, ({ pickup }) => this.audioManager.playSound(pickup.item.sound, false, pickup.item.soundRate));
+        events.on(GAME_EVENTS.ENEMY_PHASE_CHANGED, () => this.audioManager.playSound('scream', true));
+
+        // --- Music ---
+        events.on(GAME_EVENTS.BOSS_FIGHT_STARTED, () => this.audioManager.playBackgroundMusic('bossMusic', 0.8));
+        events.on(GAME_EVENTS.BOSS_FIGHT_RESET, () => this.audioManager.playBackgroundMusic());
+        events.on(GAME_EVENTS.BOSS_DEFEATED, () => this.audioManager.playBackgroundMusic());
+
+        // --- Effects ---
+        events.on(GAME_EVENTS.ENEMY_DAMAGED, ({ x, y }) => this.createBloodEffect(x, y));
+        events.on(GAME_EVENTS.PLAYER_DAMAGED, ({ x, y }) => this.createBloodEffect(x, y));
+        events.on(GAME_EVENTS.PLAYER_LANDED, ({ x, y }) => this.createFootstepEffect(x, y, 8, null));
+        events.on(GAME_EVENTS.ENEMY_SPAWNED, ({ spawner }) => {
+            // A small puff of grave dust as the earth breaks open
+            this.createSmokeEffect(spawner.x + spawner.width / 2, spawner.y + spawner.height, 20);
+        });
+        events.on(GAME_EVENTS.ENEMY_PHASE_CHANGED, ({ enemy }) => {
+            this.createSmokeEffect(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2);
+        });
+        events.on(GAME_EVENTS.CHEST_OPENED, ({ chest }) => {
+            // A more intense puff of smoke when the chest opens
+            this.createSmokeEffect(chest.x + chest.width / 2, chest.y + chest.height / 2);
+        });
+
+        // --- Loot ---
+        events.on(GAME_EVENTS.ENEMY_KILLED, ({ enemy }) => this.dropLoot(enemy));
+
+        // --- Abilities ---
+        events.on(GAME_EVENTS.ABILITY_UNLOCKED, ({ ability, pickup }) => {
+            this.createSmokeEffect(pickup.x + pickup.width / 2, pickup.y + pickup.height / 2, 30);
+            this.showNotice(ABILITIES[ability].notice[this.selectedLanguage]);
+            this.saveProgress();
+        });
+
+        // --- Checkpoints ---
+        events.on(GAME_EVENTS.CHECKPOINT_REACHED, ({ checkpoint }) => {
+            this.reachedCheckpoints.push(checkpoint.spawnId);
+            this.respawnPoint = checkpoint.getRespawnPoint(this.player);
+            this.saveProgress();
+        });
+
+        // --- Boss fights ---
+        // A lost fight starts over once the player is back.
+        events.on(GAME_EVENTS.PLAYER_RESPAWNED, () => {
+            this.world.query('arena').forEach(arena => arena.resetFight());
+        });
+
+        // --- End sequence ---
+        events.on(GAME_EVENTS.CHEST_OPENED, ({ chest }) => {
+            this.freezePlayerForEnd();
+            this.spawnResumeScroll(chest.x, chest.y);
+        });
+    }
+
+    /**
+     * The name of the active scene: 'MENU', 'INTRO', 'PLAYING', 'PAUSED' or 'ENDING'.
+     * @returns {string}
+     */
+    get gameState() {
+        return this.scenes.current.name;
+    }
+
+    /**
+     * Initializes the game by loading assets and setting up game objects.
+     * @returns {Promise<void>} Rejects if a critical asset failed to load.
+     */
+    async init() {
+        this.camera = new Camera(this.width, this.height, this.worldWidth);
+        this.environment = new Environment(this, this.width, this.height, this.worldWidth);
+
+        // Preload all critical visual assets before starting
+        await this.environment.loadAssets();
+        this.assets.resumeScroll = await this.assetLoader.loadImage(RESUME_SCROLL_DATA.url, 'Anonymous');
+        console.log("All critical visual assets have been preloaded.");
+
+        this.populateLevel();
+    }
+
+    /**
+     * Creates the player, enemies, graves that raise enemies, checkpoints, ability crystals, chests
+     * and the boss arena from the initial level layout. Any objects left over from a previous run are discarded.
+     * @param {Object|null} [save=null] - Progress to restore: killed enemies (and bosses) stay away,
+     *     opened chests stay open, reached checkpoints stay lit, unlocked abilities stay unlocked
+     *     and the player starts where the save was made.
+     */
+    populateLevel(save = null) {
+        this.world.clear();
+        const killedEnemies = new Set(save ? save.killedEnemies : []);
+        const openedChests = new Set(save ? save.openedChests : []);
+        this.reachedCheckpoints = save ? [...save.reachedCheckpoints] : [];
+
+        // Create game objects and pass the audio manager
+        this.player = new Player(this, PLAYER_ANIMATIONS, this.environment, this.audioManager);
+        if (save) {
+            this.player.x = save.player.x;
+            this.player.y = save.player.y;
+            this.player.direction = save.player.direction || this.player.direction;
+            this.player.coins = save.player.coins;
+            this.player.ammo = save.player.ammo;
+            save.player.abilities.forEach(ability => this.player.unlockAbility(ability));
+        }
+        this.world.add(this.player, { tags: ['player'], layer: LAYERS.PLAYER });
+        this.respawnPoint = { x: this.player.x, y: this.player.y };
+
+        LEVEL_DATA.enemies.forEach(spawn => {
+            if (killedEnemies.has(spawn.id)) return;
+            const enemy = new Enemy(this, spawn, this.environment, this.audioManager);
+            enemy.spawnId = spawn.id;
+            this.world.add(enemy, { tags: ['enemy'], layer: LAYERS.ENEMIES });
+        });
+
+        LEVEL_DATA.spawners.forEach(spawn => {
+            const grave = this.environment.findTombstone(spawn.x);
+            if (!grave) {
+                throw new Error(`No tombstone for spawner ${spawn.id} at x ${spawn.x}`);
+            }
+            const spawner = new TombstoneSpawner(this, grave, spawn);
+            spawner.spawnId = spawn.id;
+            this.world.add(spawner, { tags: ['spawner'], layer: LAYERS.ITEMS });
+        });
+
+        LEVEL_DATA.checkpoints.forEach(spawn => {
+            const checkpoint = new Checkpoint(this, spawn.x);
+            checkpoint.spawnId = spawn.id;
+            if (this.reachedCheckpoints.includes(spawn.id)) {
+                checkpoint.restoreLit();
+            }
+            if (spawn.id === this.reachedCheckpoints[this.reachedCheckpoints.length - 1]) {
+                this.respawnPoint = checkpoint.getRespawnPoint(this.player);
+            }
+            this.world.add(checkpoint, { tags: ['checkpoint'], layer: LAYERS.ITEMS });
+        });
+
+        LEVEL_DATA.abilityPickups.forEach(spawn => {
+            if (this.player.hasAbility(spawn.ability)) return;
+            const pickup = new AbilityPickup(this, spawn.x, spawn.ability);
+            pickup.spawnId = spawn.id;
+            this.world.add(pickup, { tags: ['abilityPickup'], layer: LAYERS.ITEMS });
+        });
+
+        LEVEL_DATA.treasureChests.forEach(spawn => {
+            const chest = new TreasureChest(this, spawn.x, this.audioManager);
+            chest.spawnId = spawn.id;
+            if (openedChests.has(spawn.id)) {
+                chest.restoreOpened();
+            }
+            this.world.add(chest, { tags: ['chest'], layer: LAYERS.ITEMS });
+        });
+
+        const arenaData = LEVEL_DATA.bossArena;
+        let boss = null;
+        if (!killedEnemies.has(arenaData.boss.id)) {
+            boss = new Enemy(this, arenaData.boss, this.environment, this.audioManager);
+            boss.spawnId = arenaData.boss.id;
+            this.world.add(boss, { tags: ['enemy', 'boss'], layer: LAYERS.ENEMIES });
+        }
+        const guardedChest = this.world.query('chest', chest => chest.spawnId === arenaData.guardedChestId)[0] || null;
+        this.world.add(new BossArena(this, arenaData, boss, guardedChest), { tags: ['arena'], layer: LAYERS.EFFECTS });
+    }
+
+    /**
+     * Plays the intro dialogue and hands control to the player.
+     * A run continued from a save skips the intro.
+     * @param {Object|null} [save=null] - The save the run continues from, if any.
+     */
+    startNewRun(save = null) {
+        this.elapsedTime = 0;
+        if (!this.replay) {
+            this.recorder.start({
+                seed: this.seed,
+                language: this.selectedLanguage,
+                settings: this.settings,
+                save
+            });
+        }
+
+        this.playerController = new PlayerController(this.player, this.input);
+        this.scenes.changeTo(save ? 'PLAYING' : 'INTRO');
+    }
+
+    /**
+     * Continues the saved run: restores the language, the settings and the level progress.
+     * @param {Object} save - A save as returned by saveManager.load().
+     */
+    continueFromSave(save) {
+        this.selectedLanguage = save.language || this.selectedLanguage;
+        this.updateSettings(save.settings || {});
+        this.reset(save);
+    }
+
+    /**
+     * Captures the progress of the current run for the save game.
+     * @returns {Object} The save data (without its version, which the SaveManager adds).
+     */
+    createSaveData() {
+        const aliveEnemies = new Set(this.world.query('enemy', enemy => !enemy.isDead).map(enemy => enemy.spawnId));
+        const enemySpawns = [...LEVEL_DATA.enemies, LEVEL_DATA.bossArena.boss];
+        return {
+            language: this.selectedLanguage,
+            settings: { ...this.settings },
+            player: {
+                x: this.player.x,
+                y: this.player.y,
+                direction: this.player.direction,
+                coins: this.player.coins,
+                ammo: this.player.ammo,
+                abilities: [...this.player.abilities]
+            },
+            killedEnemies: enemySpawns
+                .filter(spawn => !aliveEnemies.has(spawn.id))
+                .map(spawn => spawn.id),
+            openedChests: this.world.query('chest', chest => chest.hasBeenOpened)
+                .map(chest => chest.spawnId),
+            reachedCheckpoints: [...this.reachedCheckpoints]
+        };
+    }
+
+    /**
+     * Saves the progress while the player is in control and on solid ground, so a
+     * continued run never starts in mid-air (or frozen in the end sequence, or dying).
+     * Replays never overwrite the save.
+     * @returns {boolean} Whether the progress was saved.
+     */
+    saveProgress() {
+        const player = this.player;
+        if (this.replay || this.gameState !== 'PLAYING' || !player || !player.hasControl() || !player.isOnGround()) {
+            return false;
+        }
+        this.saveManager.save(this.createSaveData());
+        return true;
+    }
+
+    /**
+     * Rebuilds the world from the initial layout and starts a new run
+     * without reloading the page.
+     * @param {Object|null} [save=null] - Progress to start from instead of the initial layout.
+     */
+    reset(save = null) {
+        if (this.playerController) {
+            this.playerController.detach();
+            this.playerController = null;
+        }
+        if (this.player && this.player.isPlayingFootsteps) {
+            this.audioManager.stopLoopingSound('footsteps');
+        }
+
+        // Leave the ending or the pause menu behind; their exit hooks undo their side effects.
+        this.scenes.changeTo('MENU');
+        this.dialogueQueue = [];
+        this.currentDialogue = null;
+        this.notice = null;
+
+        // Restart the random sequence so a restarted run matches a fresh one with the same seed.
+        this.random.setSeed(this.seed);
+        this.audioManager.setRandom(this.random.fork('audio'));
+        if (this.replay) {
+            this.replay.rewind();
+        }
+
+        this.audioManager.playBackgroundMusic(); // In case a boss fight was cut short
+        this.combatFeedback.reset();
+
+        this.camera = new Camera(this.width, this.height, this.worldWidth);
+        this.collisions.clear(); // The environment and the level register their colliders again
+        this.environment.reset();
+        this.populateLevel(save);
+        this.camera.update(this.player); // Start on the player, who may not be at the beginning
+        this.startNewRun(save);
+    }
+
+    /**
+     * Plays back a recorded run instead of taking live input.
+     * The world is rebuilt with the recording's seed and language so the run repeats exactly.
+     * @param {Object} recording A recording as produced by InputRecorder.toJSON().
+     */
+    startReplay(recording) {
+        this.replay = new ReplayInput(recording);
+        this.input = this.replay;
+        this.recorder.stop();
+        this.seed = Random.toSeed(recording.seed);
+        this.selectedLanguage = recording.language || this.selectedLanguage;
+        this.reset(recording.save || null);
+    }
+
+    /**
+     * Leaves replay mode and starts a fresh live run.
+     */
+    stopReplay() {
+        if (!this.replay) return;
+        this.replay = null;
+        this.input = this.liveInput;
+        this.reset();
+    }
+
+    /**
+     * Hands the recording of the current run to the UI, e.g. to download it as a file.
+     */
+    saveRecording() {
+        if (this.recorder.hasRecording()) {
+            this.ui.downloadRecording(this.recorder.toJSON());
+        }
+    }
+
+    /**
+     * Freezes the game and opens the pause menu on top of the current scene.
+     * Has no effect in scenes that cannot be paused, like the start menu.
+     */
+    pause() {
+        if (!this.scenes.current.canPause) {
+            return;
+        }
+        this.saveProgress(); // Pausing is often followed by closing the tab
+        this.scenes.push('PAUSED');
+    }
+
+    /**
+     * Closes the pause menu and continues the scene the game was paused in.
+     */
+    resume() {
+        if (this.gameState !== 'PAUSED') {
+            return;
+        }
+        this.scenes.pop();
+        this.saveProgress(); // Keep settings changed in the pause menu
+    }
+
+    /**
+     * Toggles between the paused and the running state.
+     */
+    togglePause() {
+        if (this.gameState === 'PAUSED') {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    /**
+     * Passes a key press to the active scene.
+     * @param {string} key - The lower-cased key name from the keyboard event.
+     */
+    handleKey(key) {
+        this.scenes.current.handleKey(key);
+    }
+
+    /**
+     * Passes a click on the canvas to the active scene.
+     * @param {number} x - The x-coordinate in canvas pixels.
+     * @param {number} y - The y-coordinate in canvas pixels.
+     */
+    handleClick(x, y) {
+        this.scenes.current.handleClick(x, y);
+    }
+
+    /**
+     * Starts the game over from the beginning.
+     */
+    restart() {
+        this.reset();
+    }
+
+    /**
+     * Applies a change to the player settings.
+     * @param {Object} changes - The settings to change, e.g. { musicEnabled: false }.
+     */
+    updateSettings(changes) {
+        Object.assign(this.settings, changes);
+        this.audioManager.setMusicVolume(this.settings.musicEnabled ? 1 : 0);
+        this.audioManager.setSfxVolume(this.settings.sfxEnabled ? 1 : 0);
+    }
+
+    /**
+     * Creates a splatter of blood particles where a hit landed.
+     * @param {number} x The center x-coordinate for the effect.
+     * @param {number} y The center y-coordinate for the effect.
+     */
+    createBloodEffect(x, y) {
+        for (let i = 0; i < 15; i++) {
+            this.world.add(new Particle(this, x, y), { tags: ['particle', 'blood'] });
+        }
+    }
+
+    /**
+     * Creates a more intense puff of smoke particles.
+     * @param {number} x The center x-coordinate for the effect.
+     * @param {number} y The center y-coordinate for the effect.
+     * @param {number} [particleCount=70] How dense the puff is.
+     */
+    createSmokeEffect(x, y, particleCount = 70) {
+        for (let i = 0; i < particleCount; i++) {
+            this.world.add(new SmokeParticle(this, x, y), { tags: ['particle', 'smoke'] });
+        }
+    }
+
+    /**
+     * Creates a dust cloud effect for sliding.
+     * @param {number} x The center x-coordinate for the effect.
+     * @param {number} y The center y-coordinate for the effect.
+     * @param {string} direction The direction the player is facing.
+     */
+    createDustEffect(x, y, direction) {
+        const particleCount = 3; // A small puff
+        for (let i = 0; i < particleCount; i++) {
+            this.world.add(new DustParticle(this, x, y, direction), { tags: ['particle', 'dust'] });
+        }
+    }
+
+    /**
+     * Creates a dust cloud effect for footsteps or landing.
+     * @param {number} x The center x-coordinate for the effect.
+     * @param {number} y The center y-coordinate for the effect.
+     * @param {number} count The number of particles to create.
+     * @param {string|null} direction Optional direction for running, or null for a burst effect on landing.
+     */
+    createFootstepEffect(x, y, count, direction = null) {
+        const particleCount = count;
+        for (let i = 0; i < particleCount; i++) {
+            this.world.add(new FootstepParticle(this, x, y, direction), { tags: ['particle', 'footstep'] });
+        }
+    }
+
+
+    /**
+     * Rolls a defeated enemy's drop table and throws the loot out of its body.
+     * @param {Enemy} enemy The enemy that was defeated.
+     */
+    dropLoot(enemy) {
+        const centerX = enemy.x + enemy.width / 2;
+        const centerY = enemy.y + enemy.height / 2;
+        enemy.drops.forEach(({ item, chance, min = 1, max = min }) => {
+            if (this.random.next() >= chance) return;
+            const count = min + this.random.int(max - min + 1);
+            for (let i = 0; i < count; i++) {
+                const pickup = new Pickup(this, item, centerX, centerY, {
+                    speedX: this.random.range(-3, 3),
+                    speedY: this.random.range(-10, -6)
+                });
+                this.world.add(pickup, { tags: ['pickup'], layer: LAYERS.ITEMS });
+            }
+        });
+    }
+
+    /**
+     * Creates a new ResumeScroll object and adds it to the game.
+     * @param {number} chestX The x-coordinate of the chest that spawned it.
+     * @param {number} chestY The y-coordinate of the chest that spawned it.
+     */
+    spawnResumeScroll(chestX, chestY) {
+        this.world.add(new ResumeScroll(this, chestX, chestY), { tags: ['scroll'], layer: LAYERS.ITEMS });
+    }
+
+    /**
+     * Starts a new dialogue sequence.
+     * @param {Array<Object>} sequence - An array of dialogue objects.
+     */
+    startDialogue(sequence) {
+        this.dialogueQueue = sequence;
+        this.advanceDialogueQueue();
+    }
+    
+    /**
+     * Moves to the next dialogue in the queue. Once the queue is empty, currentDialogue
+     * is cleared and dialogueFinished is published, which the active scene uses to move on.
+     */
+    advanceDialogueQueue() {
+        if (this.dialogueQueue.length > 0) {
+            this.currentDialogue = this.dialogueQueue.shift();
+            this.currentDialogue.displayedText = '';
+            this.currentDialogue.typingTimer = 0;
+            this.currentDialogue.isTypingComplete = false;
+            this.currentDialogue.endTimer = 0;
+        } else {
+            const finishedDialogue = this.currentDialogue;
+            this.currentDialogue = null;
+            if (finishedDialogue) {
+                this.events.emit(GAME_EVENTS.DIALOGUE_FINISHED, { dialogue: finishedDialogue });
+            }
+        }
+    }
+    
+    /**
+     * Updates the current dialogue's typing effect and timers.
+     * @param {number} deltaTime - Time since the last frame.
+     */
+    updateDialogue(deltaTime) {
+        if (!this.currentDialogue) {
+            return;
+        }
+        
+        const dialogue = this.currentDialogue;
+        if (!dialogue.isTypingComplete) {
+            dialogue.typingTimer += deltaTime;
+            if (dialogue.typingTimer >= this.dialogueTypingSpeed) {
+                dialogue.typingTimer = 0;
+                if (dialogue.displayedText.length < dialogue.text.length) {
+                    dialogue.displayedText += dialogue.text[dialogue.displayedText.length];
+                } else {
+                    dialogue.isTypingComplete = true;
+                }
+            }
+        } else {
+            dialogue.endTimer += deltaTime;
+            if (dialogue.endTimer >= 2000) { // Wait 2s after typing
+                this.advanceDialogueQueue();
+            }
+        }
+    }
+    
+    /**
+     * Shows a message at the top of the screen for a few seconds.
+     * @param {string} text The message, already in the selected language.
+     */
+    showNotice(text) {
+        this.notice = { text, timer: this.noticeDuration };
+    }
+
+    /**
+     * Counts down the notice on screen.
+     * @param {number} deltaTime - Time since the last tick.
+     */
+    updateNotice(deltaTime) {
+        if (!this.notice) {
+            return;
+        }
+        this.notice.timer -= deltaTime;
+        if (this.notice.timer <= 0) {
+            this.notice = null;
+        }
+    }
+
+    /**
+     * Brings the dead player back at the last checkpoint. Enemies that were killed
+     * stay dead, since the level is not rebuilt.
+     */
+    respawnPlayer() {
+        const checkpointId = this.reachedCheckpoints[this.reachedCheckpoints.length - 1];
+        this.player.respawn(this.respawnPoint);
+        this.events.emit(GAME_EVENTS.PLAYER_RESPAWNED, {
+            player: this.player,
+            checkpoint: this.world.query('checkpoint', checkpoint => checkpoint.spawnId === checkpointId)[0] || null
+        });
+        // Jump straight there instead of sliding across the level between two ticks.
+        this.player.prevX = this.player.x;
+        this.player.prevY = this.player.y;
+        this.camera.update(this.player);
+        this.camera.prevX = this.camera.x;
+    }
+
+    /**
+     * Gets the stretch of the world the player may move in: all of it, or the boss arena during a fight.
+     * @returns {{left: number, right: number}}
+     */
+    getPlayerBounds() {
+        const arena = this.world.first('arena');
+        return (arena && arena.getPlayerBounds()) || { left: 0, right: this.worldWidth };
+    }
+
+    /**
+     * Called when the chest is opened. Freezes the player and detaches controls.
+     */
+    freezePlayerForEnd() {
+        if (this.player) {
+            this.player.forceIdleAndFreeze();
+        }
+        if (this.playerController) {
+            this.playerController.detach();
+        }
+    }
+    
+    /**
+     * Initiates the end-of-game sequence (see EndingScene): dialogue, download, and disabling controls.
+     */
+    endGameSequence() {
+        // Add a guard to ensure this sequence only runs once.
+        if (this.gameState === 'ENDING') {
+            return;
+        }
+        this.scenes.changeTo('ENDING');
+    }
+
+    /**
+     * Counts down to the resume download started by the end sequence.
+     * @param {number} deltaTime - Time since the last tick.
+     */
+    updateResumeDownload(deltaTime) {
+        if (this.resumeDownloadTimer === null) {
+            return;
+        }
+        this.resumeDownloadTimer -= deltaTime;
+        if (this.resumeDownloadTimer <= 0) {
+            this.resumeDownloadTimer = null;
+            this.ui.downloadResume(RESUME_SCROLL_DATA.downloadUrl);
+        }
+    }
+
+    /**
+     * Runs one simulation tick of the active scene.
+     * @param {number} deltaTime - Time since the last frame.
+     */
+    update(deltaTime) {
+        // Nothing moves while a scene such as the pause menu freezes the simulation.
+        if (!this.scenes.current.runsSimulation) {
+            return;
+        }
+
+        // Feed this tick's keys from the replay, or capture them for the recording.
+        if (this.replay) {
+            this.replay.nextTick();
+        } else {
+            this.recorder.record(this.input.keys);
+        }
+
+        this.elapsedTime += deltaTime;
+        this.scenes.update(deltaTime);
+
+        if (this.camera && this.player) {
+            this.camera.update(this.player);
+        }
+    }
+
+    /**
+     * Updates the animations and physics of every object in the world and removes
+     * the ones that are finished. Scenes call this to keep the world alive; the
+     * individual update methods have checks to prevent movement when the game is over.
+     * @param {number} deltaTime - Time since the last tick.
+     */
+    updateWorld(deltaTime) {
+        this.world.update(deltaTime);
+        if (this.environment) {
+            this.environment.update(deltaTime);
+        }
+    }
+
+    /**
+     * Records the current position of every moving object so the renderer can
+     * interpolate between the previous and the current simulation tick.
+     */
+    savePreviousState() {
+        const movingObjects = [this.camera, ...this.world.entities];
+        for (const object of movingObjects) {
+            if (!object) continue;
+            object.prevX = object.x;
+            object.prevY = object.y;
+        }
+    }
+
+    /**
+     * Runs a callback with an object temporarily moved to its interpolated position.
+     * Objects that have not been through a tick yet are drawn where they are.
+     * @param {object} object - Any object with x/y and optional prevX/prevY.
+     * @param {number} alpha - Blend factor between the previous (0) and current (1) tick.
+     * @param {Function} callback - The drawing work to perform.
+     */
+    withInterpolatedPosition(object, alpha, callback) {
+        if (!object || object.prevX === undefined) {
+            callback();
+            return;
+        }
+
+        const currentX = object.x;
+        const currentY = object.y;
+        object.x = object.prevX + (currentX - object.prevX) * alpha;
+        object.y = object.prevY + (currentY - object.prevY) * alpha;
+        callback();
+        object.x = currentX;
+        object.y = currentY;
+    }
+
+    /**
+     * Draws an entity at its interpolated position.
+     * @param {object} entity - Any object with a draw(context) method.
+     * @param {number} alpha - Blend factor between the previous and current tick.
+     * @param {CanvasRenderingContext2D} context - The drawing context.
+     */
+    drawInterpolated(entity, alpha, context) {
+        this.withInterpolatedPosition(entity, alpha, () => entity.draw(context));
+    }
+
+    /**
+     * Draws the active scenes (an overlay like the pause menu is drawn over the scene below it).
+     * @param {CanvasRenderingContext2D} context - The drawing context.
+     * @param {number} [alpha=1] - How far the renderer is between the last two simulation ticks.
+     */
+    draw(context, alpha = 1) {
+        context.clearRect(0, 0, this.width, this.height);
+        this.scenes.draw(context, alpha);
+
+        if (this.replay) {
+            this.replay.drawStatus(context, this.width);
+        }
+
+        if (this.debugOverlay.isEnabled) {
+            this.debugOverlay.draw(context, alpha);
+        }
+    }
+
+    /**
+     * Draws the background, the level and all game objects as seen through the camera.
+     * @param {CanvasRenderingContext2D} context - The drawing context.
+     * @param {number} alpha - How far the renderer is between the last two simulation ticks.
+     */
+    drawWorld(context, alpha) {
+        this.withInterpolatedPosition(this.camera, alpha, () => {
+            if (this.environment) {
+                this.environment.drawBackground(context, this.camera);
+            }
+            
+            const shake = this.combatFeedback.getShakeOffset();
+            context.save();
+            context.translate(-this.camera.x + shake.x, -this.camera.y + shake.y);
+
+            if (this.environment) {
+                this.environment.drawForeground(context, this.camera);
+            }
+            
+            // The entities are kept in drawing order, from the back layer to the front.
+            this.world.entities.forEach(entity => this.drawInterpolated(entity, alpha, context));
+
+            context.restore();
+        });
+    }
+
+    /**
+     * Draws the player's health bar in the top-left corner of the screen.
+     * @param {CanvasRenderingContext2D} context - The drawing context.
+     */
+    drawHealthBar(context) {
+        if (!this.player) {
+            return;
+        }
+
+        const barX = 20;
+        const barY = 20;
+        const barWidth = 220;
+        const barHeight = 16;
+        const healthPercentage = this.player.health / this.player.maxHealth;
+
+        context.save();
+        context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        context.beginPath();
+        context.roundRect(barX, barY, barWidth, barHeight, 8);
+        context.fill();
+
+        if (healthPercentage > 0) {
+            context.fillStyle = healthPercentage > 0.5 ? '#4CAF50' : healthPercentage > 0.2 ? '#FFC107' : '#F44336';
+            context.beginPath();
+            context.roundRect(barX, barY, barWidth * healthPercentage, barHeight, 8);
+            context.fill();
+        }
+
+        context.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        context.lineWidth = 2;
+        context.beginPath();
+        context.roundRect(barX, barY, barWidth, barHeight, 8);
+        context.stroke();
+        context.restore();
+    }
+
+    /**
+     * Draws the player's coins and ammo to the right of the health bar.
+     * @param {CanvasRenderingContext2D} context - The drawing context.
+     */
+    drawLootCounters(context) {
+        if (!this.player) {
+            return;
+        }
+
+        const centerY = 28; // Level with the middle of the health bar
+        const counters = [
+            { x: 260, text: String(this.player.coins), color: '#ffd24a' },
+            { x: 340, text: `${this.player.ammo}/${this.player.maxAmmo}`, color: this.player.ammo === 0 ? '#F44336' : '#f0e6d2' }
+        ];
+
+        context.save();
+        context.font = 'bold 16px "Roboto", sans-serif';
+        context.textAlign = 'left';
+        context.textBaseline = 'middle';
+        context.lineWidth = 3;
+        context.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+
+        // A coin and a bullet as the icons
+        context.fillStyle = '#ffd24a';
+        context.beginPath();
+        context.arc(counters[0].x, centerY, 7, 0, Math.PI * 2);
+        context.fill();
+        context.stroke();
+        context.fillStyle = '#d4a017';
+        context.beginPath();
+        context.roundRect(counters[1].x - 3, centerY - 8, 6, 16, [3, 3, 0, 0]);
+        context.fill();
+        context.stroke();
+
+        counters.forEach(({ x, text, color }) => {
+            context.strokeText(text, x + 14, centerY);
+            context.fillStyle = color;
+            context.fillText(text, x + 14, centerY);
+        });
+        context.restore();
+    }
+
+    /**
+     * Draws the notice, if any, centered below the HUD, fading out at the end.
+     * @param {CanvasRenderingContext2D} context - The drawing context.
+     */
+    drawNotice(context) {
+        if (!this.notice) {
+            return;
+        }
+
+        context.save();
+        context.globalAlpha = Math.min(1, this.notice.timer / 500);
+        context.font = 'bold 20px "Georgia", serif';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        const boxWidth = context.measureText(this.notice.text).width + 40;
+        context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        context.beginPath();
+        context.roundRect((this.width - boxWidth) / 2, 70, boxWidth, 40, 10);
+        context.fill();
+        context.fillStyle = '#f0e6d2';
+        context.fillText(this.notice.text, this.width / 2, 90);
+        context.restore();
+    }
+
+    /**
+     * Draws the current dialogue, if any, above its interpolated target.
+     * @param {CanvasRenderingContext2D} context - The drawing context.
+     * @param {number} alpha - How far the renderer is between the last two simulation ticks.
+     */
+    drawDialogue(context, alpha) {
+        if (!this.currentDialogue) {
+            return;
+        }
+        this.withInterpolatedPosition(this.camera, alpha, () => {
+            this.withInterpolatedPosition(this.currentDialogue.target, alpha, () => this.drawDialogueBox(context));
+        });
+    }
+
+    /**
+     * Draws a stylish dialogue box as a speech bubble above the target character's head.
+     * @param {CanvasRenderingContext2D} context - The drawing context.
+     */
+    drawDialogueBox(context) {
+        const dialogue = this.currentDialogue;
+        if (!dialogue || !dialogue.target) {
+            return;
+        }
+        
+        const target = dialogue.target;
+        const text = dialogue.displayedText;
+        context.font = '20px "Georgia", serif';
+        const textMetrics = context.measureText(text);
+        
+        const boxPadding = 20;
+        const boxWidth = Math.min(this.width - 40, context.measureText(dialogue.text).width + boxPadding * 2);
+        const boxHeight = 50;
+        const borderRadius = 10;
+        const calloutHeight = 15;
+        const calloutWidth = 30;
+
+        const targetScreenX = target.x - this.camera.x + target.width / 2;
+        const targetScreenY = target.y - this.camera.y;
+
+        let boxX = targetScreenX - boxWidth / 2;
+        let boxY = targetScreenY - boxHeight - calloutHeight - 15;
+
+        boxX = Math.max(20, Math.min(boxX, this.width - boxWidth - 20));
+        boxY = Math.max(20, Math.min(boxY, this.height - boxHeight - 20));
+        
+        const calloutX = Math.max(
+            boxX + borderRadius + calloutWidth / 2,
+            Math.min(targetScreenX, boxX + boxWidth - borderRadius - calloutWidth / 2)
+        );
+
+        context.save();
+        
+        context.fillStyle = 'rgba(0, 0, 0, 0.85)';
+        context.strokeStyle = 'rgba(122, 14, 14, 0.9)';
+        context.shadowColor = 'rgba(255, 80, 80, 0.7)';
+        context.shadowBlur = 15;
+        context.lineWidth = 3;
+
+        context.beginPath();
+        context.moveTo(boxX + borderRadius, boxY);
+        context.lineTo(boxX + boxWidth - borderRadius, boxY);
+        context.arcTo(boxX + boxWidth, boxY, boxX + boxWidth, boxY + borderRadius, borderRadius);
+        context.lineTo(boxX + boxWidth, boxY + boxHeight - borderRadius);
+        context.arcTo(boxX + boxWidth, boxY + boxHeight, boxX + boxWidth - borderRadius, boxY + boxHeight, borderRadius);
+        context.lineTo(calloutX + calloutWidth / 2, boxY + boxHeight);
+        context.lineTo(calloutX, boxY + boxHeight + calloutHeight);
+        context.lineTo(calloutX - calloutWidth / 2, boxY + boxHeight);
+        context.lineTo(boxX + borderRadius, boxY + boxHeight);
+        context.arcTo(boxX, boxY + boxHeight, boxX, boxY + boxHeight - borderRadius, borderRadius);
+        context.lineTo(boxX, boxY + borderRadius);
+        context.arcTo(boxX, boxY, boxX + borderRadius, boxY, borderRadius);
+        context.closePath();
+        
+        context.fill();
+        context.stroke();
+        
+        context.restore();
+        
+        context.fillStyle = '#f0e6d2';
+        context.font = '20px "Georgia", serif';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(text, boxX + boxWidth / 2, boxY + boxHeight / 2);
+    }
+    
+    /**
+     * Advances the simulation by real elapsed time. The time is fed into an accumulator
+     * and consumed in fixed simulation ticks; whatever is left over is returned so the
+     * renderer can interpolate between the last two ticks.
+     * @param {number} frameTime - Real time since the previous call, in ms.
+     * @returns {number} The interpolation factor (0..1) for drawing.
+     */
+    advance(frameTime) {
+        this.debugOverlay.recordFrame(frameTime);
+
+        // Clamp the frame time so a long stall doesn't trigger a burst of catch-up ticks.
+        let clampedTime = Math.min(Math.max(frameTime, 0), this.maxFrameTime);
+
+        if (this.replay) {
+            if (this.replay.isPaused) {
+                // A paused playback only moves when single steps are requested.
+                while (this.replay.pendingSteps > 0) {
+                    this.replay.pendingSteps--;
+                    this.tick();
+                }
+                return 1;
+            }
+            clampedTime *= this.replay.speed;
+        }
+
+        // A hit-stop holds the action for a moment: no ticks run and the held time is not made up.
+        // The ticks themselves don't change, so the simulation is the same with or without it.
+        this.combatFeedback.update(clampedTime);
+        if (this.combatFeedback.isHoldingSimulation()) {
+            return this.accumulator / this.fixedTimeStep;
+        }
+
+        this.accumulator += clampedTime;
+
+        while (this.accumulator >= this.fixedTimeStep) {
+            this.tick();
+            this.accumulator -= this.fixedTimeStep;
+
+            // The replay can pause itself (at its end), which must stop the catch-up ticks too.
+            if (this.replay && this.replay.isPaused) {
+                this.accumulator = 0;
+                return 1;
+            }
+        }
+
+        return this.accumulator / this.fixedTimeStep;
+    }
+
+    /**
+     * Runs exactly one fixed simulation tick.
+     */
+    tick() {
+        this.savePreviousState();
+        this.update(this.fixedTimeStep);
+    }
+
+    /**
+     * Runs a number of fixed simulation ticks back to back, e.g. from a headless test.
+     * @param {number} count - How many ticks to run.
+     */
+    step(count = 1) {
+        for (let i = 0; i < count; i++) {
+            this.tick();
+        }
+    }
+}
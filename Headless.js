@@ -0,0 +1,48 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { Game } from './Game.js';
+import { AudioManager } from './AudioManager.js';
+import { AUDIO_DATA } from './AudioData.js';
+import { ScriptedInput } from './ScriptedInput.js';
+import { StubImageLoader } from './StubImageLoader.js';
+
+/**
+ * Creates a game that runs without a browser, e.g. under Node for automated tests.
+ * Images are placeholders, audio stays silent (its context is never initialized) and
+ * the player is driven through a ScriptedInput.
+ *
+ * Example:
+ *   const { game, input } = await createHeadlessGame();
+ *   game.step(300);          // let the intro dialogue play out
+ *   input.press('d');
+ *   game.step(60);           // run right for one second
+ *   console.log(game.player.x, game.world.query('enemy')[0].health);
+ *
+ * @param {Object} [options]
+ * @param {number} [options.width=1000] The width of the (virtual) screen.
+ * @param {number} [options.height=600] The height of the (virtual) screen.
+ * @param {boolean} [options.start=true] Whether to start a run (intro dialogue + player control) right away.
+ * @param {number|string} [options.seed] Seed for all randomness, for reproducible runs.
+ * @param {Storage} [options.storage] Where progress is saved, e.g. a Map-backed stand-in for localStorage.
+ * @returns {Promise<{game: Game, input: ScriptedInput}>}
+ */
+export async function createHeadlessGame({ width = 1000, height = 600, start = true, seed, storage = null } = {}) {
+    const input = new ScriptedInput();
+    const game = new Game({
+        width,
+        height,
+        assetLoader: new StubImageLoader(),
+        audioManager: new AudioManager(AUDIO_DATA),
+        input,
+        seed,
+        storage
+    });
+
+    await game.init();
+    if (start) {
+        game.startNewRun();
+    }
+    return { game, input };
+}
@@ -0,0 +1,136 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from './Headless.js';
+
+/**
+ * Starts a seeded run and lets the intro dialogue play out, so the player has control.
+ * @param {number} [seed=1]
+ * @returns {Promise<{game: Game, input: ScriptedInput}>}
+ */
+async function startRun(seed = 1) {
+    const { game, input } = await createHeadlessGame({ seed });
+    game.step(400);
+    return { game, input };
+}
+
+test('holding D runs the player to the right', async () => {
+    const { game, input } = await startRun();
+    const startX = game.player.x;
+
+    input.press('d');
+    game.step(60);
+    input.release('d');
+
+    assert.ok(game.player.x > startX + 100, `player only moved from ${startX} to ${game.player.x}`);
+    assert.equal(game.player.direction, 'right');
+});
+
+test('a pistol shot takes health off the enemy it hits', async () => {
+    const { game, input } = await startRun();
+    const enemy = game.world.query('enemy')[0];
+    const startHealth = enemy.health;
+
+    game.player.x = enemy.x - 300;
+    game.player.direction = 'right';
+    input.press('q');
+    game.step(2);
+    input.release('q');
+    game.step(60);
+
+    assert.equal(enemy.health, startHealth - 20);
+});
+
+test('the guarded chest opens once the boss is defeated', async () => {
+    const { game, input } = await startRun();
+    const chest = game.world.first('chest');
+
+    game.player.x = 5450;
+    game.step(5);
+    input.press('e');
+    game.step(3);
+    input.release('e');
+    assert.equal(chest.state, 'closed', 'the chest opened while the boss was alive');
+
+    game.world.first('boss').takeDamage(9999);
+    game.step(2);
+    input.press('e');
+    game.step(3);
+    input.release('e');
+    assert.equal(chest.state, 'opening');
+});
+
+test('the dormant boss does not hurt the player before its fight', async () => {
+    const { game } = await startRun();
+    game.world.query('arena').forEach(arena => { arena.markedForDeletion = true; }); // Keep the fight from starting
+    game.step(1);
+    const boss = game.world.first('boss');
+
+    game.player.x = boss.x;
+    game.player.y = boss.y + boss.height - game.player.height;
+    game.step(3);
+
+    assert.equal(boss.state, 'dormant');
+    assert.equal(game.player.health, game.player.maxHealth);
+});
+
+/**
+ * Runs right, firing and swinging the knife into the first enemies.
+ * @param {Game} game
+ * @param {ScriptedInput} input
+ */
+function fightThroughFirstEnemies(game, input) {
+    input.press('d');
+    for (let i = 0; i < 20; i++) {
+        input.press(i % 2 ? 'q' : 'w');
+        game.step(10);
+        input.release('q', 'w');
+        game.step(20);
+    }
+    input.release('d');
+}
+
+/**
+ * Captures the parts of the world a difference in the simulation would show up in.
+ * @param {Game} game
+ * @returns {string}
+ */
+function snapshot(game) {
+    return JSON.stringify({
+        player: [game.player.x, game.player.y],
+        enemies: game.world.query('enemy').map(enemy => [enemy.x, enemy.y, enemy.health]),
+        particles: game.world.query('particle').map(particle => [particle.x, particle.y]),
+        nextRandom: game.random.next(), // Differs if the run drew a different number of random values
+    });
+}
+
+test('the same seed and the same inputs play out identically', async () => {
+    /**
+     * @param {number} seed
+     * @returns {Promise<string>}
+     */
+    async function play(seed) {
+        const { game, input } = await startRun(seed);
+        fightThroughFirstEnemies(game, input);
+        return snapshot(game);
+    }
+
+    assert.equal(await play(7), await play(7));
+    assert.notEqual(await play(7), await play(8));
+});
+
+test('a recorded run replays to the same state', async () => {
+    const { game, input } = await startRun(7);
+    fightThroughFirstEnemies(game, input);
+    const recording = JSON.parse(JSON.stringify(game.recorder.toJSON())); // As saved to a file
+    const live = snapshot(game);
+
+    game.startReplay(recording);
+    game.step(recording.tickCount);
+
+    assert.ok(game.replay.isFinished());
+    assert.equal(snapshot(game), live);
+});
@@ -0,0 +1,27 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * Loads images in the browser. This is the asset adapter the game uses outside of tests.
+ */
+export class ImageLoader {
+    /**
+     * Preloads a single image.
+     * @param {string} url The URL of the image to load.
+     * @param {string|null} [crossOrigin=null] Optional CORS mode, e.g. 'Anonymous'.
+     * @returns {Promise<Image>} A promise that resolves with the loaded Image object.
+     */
+    loadImage(url, crossOrigin = null) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            if (crossOrigin) {
+                img.crossOrigin = crossOrigin;
+            }
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(`Failed to load image: ${url}`);
+            img.src = url;
+        });
+    }
+}
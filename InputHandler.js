@@ -0,0 +1,39 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * Handles keyboard inputs for player actions.
+ * A simple set-based implementation to track currently pressed keys.
+ * This is the browser input adapter; see ScriptedInput for the headless one.
+ */
+export class InputHandler {
+    constructor() {
+        this.keys = new Set();
+        this.isAttached = false;
+        this.handleKeyDown = (e) => this.keys.add(e.key.toLowerCase());
+        this.handleKeyUp = (e) => this.keys.delete(e.key.toLowerCase());
+    }
+
+    /**
+     * Starts listening to the keyboard.
+     */
+    attach() {
+        if (this.isAttached) return;
+        this.isAttached = true;
+        window.addEventListener('keydown', this.handleKeyDown);
+        window.addEventListener('keyup', this.handleKeyUp);
+    }
+
+    /**
+     * Stops listening to the keyboard and forgets any held keys.
+     */
+    detach() {
+        if (!this.isAttached) return;
+        this.isAttached = false;
+        window.removeEventListener('keydown', this.handleKeyDown);
+        window.removeEventListener('keyup', this.handleKeyUp);
+        this.keys.clear();
+    }
+}
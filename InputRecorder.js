@@ -0,0 +1,77 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * Records the keys held on every simulation tick of a run, together with the seed
+ * and the options the run started with. The result is a small JSON document that
+ * ReplayInput can play back to reproduce the run exactly.
+ */
+export class InputRecorder {
+    constructor() {
+        this.version = 1; // Bump when the file layout changes
+        this.isRecording = false;
+        this.header = null;
+        this.frames = []; // Run-length encoded: [[keys...], tickCount]
+        this.tickCount = 0;
+    }
+
+    /**
+     * Starts a new recording, discarding the previous one.
+     * @param {Object} header
+     * @param {number} header.seed The seed of the run.
+     * @param {string} header.language The dialogue language, which affects dialogue timing.
+     * @param {Object} header.settings The player settings in effect.
+     * @param {Object|null} [header.save=null] The save the run was continued from, if any.
+     */
+    start({ seed, language, settings, save = null }) {
+        this.isRecording = true;
+        this.header = { seed, language, settings: { ...settings }, save };
+        this.frames = [];
+        this.tickCount = 0;
+    }
+
+    /**
+     * Stops recording; the captured ticks are kept until the next start().
+     */
+    stop() {
+        this.isRecording = false;
+    }
+
+    /**
+     * Captures the keys held during one simulation tick.
+     * @param {Set<string>} keys The keys the player controller sees on this tick.
+     */
+    record(keys) {
+        if (!this.isRecording) return;
+
+        const sortedKeys = Array.from(keys).sort();
+        const lastFrame = this.frames[this.frames.length - 1];
+        if (lastFrame && lastFrame[0].join('|') === sortedKeys.join('|')) {
+            lastFrame[1]++;
+        } else {
+            this.frames.push([sortedKeys, 1]);
+        }
+        this.tickCount++;
+    }
+
+    /**
+     * @returns {boolean} Whether there is anything worth saving.
+     */
+    hasRecording() {
+        return this.header !== null && this.tickCount > 0;
+    }
+
+    /**
+     * @returns {Object} The recording as a plain, JSON-serializable object.
+     */
+    toJSON() {
+        return {
+            version: this.version,
+            ...this.header,
+            tickCount: this.tickCount,
+            frames: this.frames
+        };
+    }
+}
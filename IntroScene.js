@@ -0,0 +1,58 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { Scene } from './Scene.js';
+import { DIALOGUE_DATA } from './DialogueData.js';
+import { GAME_EVENTS } from './EventBus.js';
+
+/**
+ * The intro dialogue at the start of a run. The world is held still while the
+ * player's speech bubble types out; control is handed over once it has finished.
+ */
+export class IntroScene extends Scene {
+    /**
+     * @param {Game} game The main game object.
+     */
+    constructor(game) {
+        super(game, 'INTRO');
+        this.canPause = true;
+        this.unsubscribe = null;
+    }
+
+    /**
+     * Starts the intro dialogue, and hands control to the player once it has finished.
+     */
+    enter() {
+        const game = this.game;
+        this.unsubscribe = game.events.on(GAME_EVENTS.DIALOGUE_FINISHED, () => game.scenes.changeTo('PLAYING'));
+        game.startDialogue([
+            { text: DIALOGUE_DATA[game.selectedLanguage].intro, target: game.player }
+        ]);
+    }
+
+    /**
+     * Stops listening for the end of the dialogue.
+     */
+    exit() {
+        this.unsubscribe();
+    }
+
+    /**
+     * Types out the dialogue.
+     * @param {number} deltaTime Time since the last tick.
+     */
+    update(deltaTime) {
+        this.game.updateDialogue(deltaTime);
+    }
+
+    /**
+     * Draws the world with the speech bubble on top.
+     * @param {CanvasRenderingContext2D} context The drawing context.
+     * @param {number} alpha Blend factor between the previous and current tick.
+     */
+    draw(context, alpha) {
+        this.game.drawWorld(context, alpha);
+        this.game.drawDialogue(context, alpha);
+    }
+}
@@ -0,0 +1,71 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// =================================================================
+// == LEVEL LAYOUT CONFIGURATION ==
+// =================================================================
+// This file describes where the game's objects are placed when a new game starts.
+// Restarting the game rebuilds the world from this layout.
+// The ids identify each object in save games, so keep them stable when editing the layout.
+
+export const LEVEL_DATA = {
+    // Enemies (ids, types from EnemyTypeData.js and x-coordinates of their posts; they drop onto the surface below).
+    // An optional 'patrol' sets how an enemy keeps watch; anything left out comes from its type:
+    //   waypoints: x-coordinates to walk between, back and forth,
+    //   range: { left, right }: or simply how far to walk to either side of the post (a side left out is 0),
+    //   pause: ms to stand at each end (for a guard, how often it looks the other way),
+    //   speed: walking speed in pixels per tick,
+    //   facing: 'left' or 'right', the way it looks at its post,
+    //   guard: true to hold the post instead of walking.
+    enemies: [
+        // First Half
+        { id: 'enemy-1', type: 'zombie', x: 1200, patrol: { range: { left: 150, right: 100 }, pause: 800 } },
+        { id: 'enemy-2', type: 'zombie', x: 1800, patrol: { waypoints: [1650, 1900], pause: 1200, speed: 0.7 } }, // Up on the platform
+        { id: 'enemy-3', type: 'ghoul', x: 2700 },
+        // Second Half
+        { id: 'enemy-4', type: 'ghoul', x: 900 + 3000, patrol: { guard: true, facing: 'right', pause: 2500 } },
+        { id: 'enemy-5', type: 'skeleton', x: 1800 + 3000 },
+        { id: 'enemy-6', type: 'brute', x: 3300, patrol: { waypoints: [3100, 3300, 3500], pause: 1500 } },
+    ],
+
+    // Graves that raise enemies while the player is near. x is that of a tombstone in
+    // Environment.decorationsLayout; up to 'cap' of its enemies are up at a time, one rising every
+    // 'cooldown' ms while the player is within 'activationRadius' pixels. An optional 'patrol' (as for
+    // enemies above) sets how they keep watch around the grave. Risen enemies are not saved.
+    spawners: [
+        { id: 'spawner-1', x: 2000, type: 'zombie', cap: 2, cooldown: 6000, activationRadius: 450 },
+        { id: 'spawner-2', x: 550 + 3000, type: 'ghoul', cap: 3, cooldown: 4000, activationRadius: 500 },
+    ],
+
+    // Checkpoint lanterns; the player respawns at the last one they lit
+    checkpoints: [
+        { id: 'checkpoint-1', x: 2200 },
+        { id: 'checkpoint-2', x: 4300 },
+        { id: 'checkpoint-3', x: 4900 }, // Right before the boss arena
+    ],
+
+    // Crystals that unlock a movement ability (a key of AbilityData.js). Once the ability is
+    // unlocked its crystal is gone, also in a continued run.
+    abilityPickups: [
+        { id: 'ability-1', ability: 'doubleJump', x: 1450 },
+        { id: 'ability-2', ability: 'wallSlide', x: 2550 },
+        { id: 'ability-3', ability: 'dash', x: 2950 },
+    ],
+
+    // Treasure chests
+    treasureChests: [
+        { id: 'chest-1', x: 5500 },
+    ],
+
+    // The boss fight before the chest. The camera locks to [left, right] once the player
+    // passes triggerX; the guarded chest opens only after the boss is defeated.
+    bossArena: {
+        left: 5000,
+        right: 6000,
+        triggerX: 5150,
+        boss: { id: 'boss-1', type: 'graveKeeper', x: 5750 },
+        guardedChestId: 'chest-1',
+    },
+};
@@ -0,0 +1,47 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// =================================================================
+// == LOOT CONFIGURATION ==
+// =================================================================
+// The items defeated enemies can drop; EnemyTypeData.js lists which ones each type drops and how often.
+// 'value' is what one pickup is worth: coins, health points or bullets.
+// 'shape' picks how the pickup is drawn ('coin', 'orb' or 'ammo'), in 'color' with a 'glow' around it.
+// 'sound' names an entry of AudioData.js, played when the item is collected at 'soundRate' times
+// its speed (higher sounds brighter).
+
+export const LOOT_ITEMS = {
+    coin: {
+        value: 1,
+        size: 14,
+        shape: 'coin',
+        color: '#ffd24a',
+        glow: '#ffd700',
+        sound: 'coinPickup',
+        soundRate: 1.8,
+    },
+
+    // Heals; left lying on the ground while the player's health is full
+    health: {
+        value: 20,
+        size: 16,
+        shape: 'orb',
+        color: '#e53935',
+        glow: '#ff6e6e',
+        sound: 'healthPickup',
+        soundRate: 1.3,
+    },
+
+    // Bullets for the pistol; left lying on the ground while the player can't carry more
+    ammo: {
+        value: 4,
+        size: 16,
+        shape: 'ammo',
+        color: '#a1887f',
+        glow: '#f0e68c',
+        sound: 'ammoPickup',
+        soundRate: 1,
+    },
+};
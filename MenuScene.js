@@ -0,0 +1,27 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { Scene } from './Scene.js';
+
+/**
+ * The scene behind the HTML start menu. The world is drawn as a still backdrop
+ * and nothing moves until a run is started.
+ */
+export class MenuScene extends Scene {
+    /**
+     * @param {Game} game The main game object.
+     */
+    constructor(game) {
+        super(game, 'MENU');
+    }
+
+    /**
+     * Draws the frozen world behind the start menu.
+     * @param {CanvasRenderingContext2D} context The drawing context.
+     * @param {number} alpha Blend factor between the previous and current tick.
+     */
+    draw(context, alpha) {
+        this.game.drawWorld(context, alpha);
+    }
+}
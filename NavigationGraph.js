@@ -0,0 +1,155 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * How enemies get around the level. Every walkable surface (the ground and each platform)
+ * is a node, and the ways between them are links:
+ * - 'jump': onto a higher surface. One-way platforms are jumped onto straight up from under them;
+ *   solid ones from beside their ends, moving over the edge in 'direction' once high enough.
+ * - 'drop': off the end of a platform onto whatever lies below.
+ * - 'dropThrough': down through a one-way platform onto whatever lies below.
+ * The graph is built once from the platform layout when the level is loaded.
+ *
+ * @typedef {{id: string, x: number, y: number, width: number, isSolid: boolean}} Surface
+ *     y is the top of the surface, where the feet stand. The ground counts as solid.
+ * @typedef {{kind: string, from: Surface, to: Surface, takeoffX: number, landingX: number,
+ *     direction: string|null, rise: number}} NavigationLink
+ *     takeoffX is where a body's center leaves 'from'; for a drop the body walks on in 'direction'
+ *     past the edge. rise is how high a jump must carry the feet.
+ */
+export class NavigationGraph {
+    /**
+     * @param {Array<{x: number, y: number, width: number}>} platforms The measured platforms.
+     * @param {number} groundLevel The top of the ground.
+     * @param {number} worldWidth The ground runs from 0 to here.
+     */
+    constructor(platforms, groundLevel, worldWidth) {
+        this.jumpInset = 30; // How far in from the end of a higher surface a jump takes off
+        this.dropClearance = 40; // How far past a platform's end a drop lands
+
+        this.surfaces = [
+            { id: 'ground', x: 0, y: groundLevel, width: worldWidth, isSolid: true },
+            ...platforms.map((platform, index) => ({
+                id: `platform-${index}`,
+                x: platform.x,
+                y: platform.y,
+                width: platform.width,
+                isSolid: platform.isSolid
+            }))
+        ];
+        this.links = new Map(this.surfaces.map(surface => [surface, []])); // Surface -> links leaving it
+        this.surfaces.forEach(surface => this.linkSurface(surface));
+    }
+
+    /**
+     * Adds the links leaving a surface: jumps onto the surfaces above it, drops off its ends and,
+     * for a one-way platform, the drop through it.
+     * @param {Surface} from
+     */
+    linkSurface(from) {
+        const links = this.links.get(from);
+
+        this.surfaces.forEach(to => {
+            if (to.y >= from.y) return;
+            const rise = from.y - to.y;
+
+            if (to.isSolid) {
+                // Jump up beside either end, clear of the underside, then move over the edge.
+                [['right', to.x - this.dropClearance, to.x + this.jumpInset],
+                    ['left', to.x + to.width + this.dropClearance, to.x + to.width - this.jumpInset]].forEach(([direction, takeoffX, landingX]) => {
+                    if (takeoffX >= from.x && takeoffX <= from.x + from.width) {
+                        links.push({ kind: 'jump', from, to, takeoffX, landingX, direction, rise });
+                    }
+                });
+                return;
+            }
+
+            const left = Math.max(from.x, to.x);
+            const right = Math.min(from.x + from.width, to.x + to.width);
+            if (right <= left) return;
+
+            // Take off near either end of the stretch under the higher surface.
+            const inset = Math.min(this.jumpInset, (right - left) / 2);
+            new Set([left + inset, right - inset]).forEach(takeoffX => {
+                links.push({ kind: 'jump', from, to, takeoffX, landingX: takeoffX, direction: null, rise });
+            });
+        });
+
+        // The ground runs the whole level, so only platforms have ends to drop off.
+        if (from.id === 'ground') return;
+        if (!from.isSolid) {
+            const centerX = from.x + from.width / 2;
+            const to = this.findSurfaceUnder(centerX, centerX, from.y + 2);
+            if (to) {
+                links.push({ kind: 'dropThrough', from, to, takeoffX: centerX, landingX: centerX, direction: null, rise: 0 });
+            }
+        }
+        [['left', from.x, -this.dropClearance], ['right', from.x + from.width, this.dropClearance]].forEach(([direction, edgeX, clearance]) => {
+            const landingX = edgeX + clearance;
+            const to = this.findSurfaceUnder(landingX, landingX, from.y + 1);
+            if (to) {
+                links.push({ kind: 'drop', from, to, takeoffX: edgeX, landingX, direction, rise: 0 });
+            }
+        });
+    }
+
+    /**
+     * Finds the highest surface at or below a height that spans part of a horizontal stretch.
+     * @param {number} left
+     * @param {number} right
+     * @param {number} y The height to look down from, e.g. a body's feet.
+     * @returns {Surface|null}
+     */
+    findSurfaceUnder(left, right, y) {
+        let found = null;
+        this.surfaces.forEach(surface => {
+            const spans = surface.x <= right && surface.x + surface.width >= left;
+            if (spans && surface.y >= y - 1 && (!found || surface.y < found.y)) {
+                found = surface;
+            }
+        });
+        return found;
+    }
+
+    /**
+     * Gets the links leaving a surface.
+     * @param {Surface} surface
+     * @returns {Array<NavigationLink>}
+     */
+    getLinks(surface) {
+        return this.links.get(surface) || [];
+    }
+
+    /**
+     * Finds the way with the least walking from one spot to another surface.
+     * @param {Surface} from The surface the trip starts on.
+     * @param {number} fromX Where on it the trip starts.
+     * @param {Surface} to The surface to reach.
+     * @param {function(NavigationLink): boolean} [canUse] Which links the traveller can take, e.g. no jumps that are too high.
+     * @returns {Array<NavigationLink>|null} The links to follow in order (empty if already there), or null if there is no way.
+     */
+    findRoute(from, fromX, to, canUse = () => true) {
+        const open = [{ surface: from, x: fromX, cost: 0, route: [] }];
+        const settled = new Set();
+
+        while (open.length > 0) {
+            open.sort((a, b) => a.cost - b.cost);
+            const { surface, x, cost, route } = open.shift();
+            if (surface === to) return route;
+            if (settled.has(surface)) continue;
+            settled.add(surface);
+
+            this.getLinks(surface).filter(canUse).forEach(link => {
+                open.push({
+                    surface: link.to,
+                    x: link.landingX,
+                    cost: cost + Math.abs(link.takeoffX - x) + Math.abs(link.landingX - link.takeoffX),
+                    route: [...route, link]
+                });
+            });
+        }
+        return null;
+    }
+}
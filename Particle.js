@@ -13,12 +13,12 @@ export class Particle {
         this.y = y;
         
         // Randomize properties for a splash effect
-        this.size = Math.random() * 5 + 2;
-        this.speedX = Math.random() * 6 - 3;
-        this.speedY = Math.random() * -10 - 2; // Initial upward burst
+        this.size = this.game.random.next() * 5 + 2;
+        this.speedX = this.game.random.next() * 6 - 3;
+        this.speedY = this.game.random.next() * -10 - 2; // Initial upward burst
         this.gravity = 0.5;
         this.lifespan = 100; // Time before it starts fading
-        this.color = `rgba(150, 0, 0, ${Math.random() * 0.5 + 0.5})`; // Shades of red
+        this.color = `rgba(150, 0, 0, ${this.game.random.next() * 0.5 + 0.5})`; // Shades of red
         
         this.markedForDeletion = false;
     }
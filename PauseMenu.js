@@ -0,0 +1,248 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * An in-canvas menu shown while the game is paused.
+ * It has a main page (Resume, Restart, Save Replay, Settings) and a settings page with toggles for
+ * the audio and the combat feedback effects.
+ * Navigation works with the keyboard (arrows/W/S + Enter) and with mouse clicks.
+ */
+export class PauseMenu {
+    /**
+     * @param {Game} game The main game object, used for language and settings.
+     */
+    constructor(game) {
+        this.game = game;
+        this.page = 'main'; // 'main' or 'settings'
+        this.selectedIndex = 0;
+
+        // Layout of the entries, in canvas pixels
+        this.entryHeight = 42;
+        this.entryWidth = 320;
+        this.titleY = 170;
+        this.firstEntryY = 220;
+
+        // The settings page's toggles: the key in game.settings and the text of its label
+        this.toggles = [
+            { setting: 'musicEnabled', text: 'music' },
+            { setting: 'sfxEnabled', text: 'sfx' },
+            { setting: 'damageNumbersEnabled', text: 'damageNumbers' },
+            { setting: 'hitFlashEnabled', text: 'hitFlash' },
+            { setting: 'hitStopEnabled', text: 'hitStop' },
+            { setting: 'screenShakeEnabled', text: 'screenShake' },
+        ];
+
+        this.texts = {
+            en: {
+                title: 'Paused',
+                settingsTitle: 'Settings',
+                resume: 'Resume',
+                restart: 'Restart',
+                saveReplay: 'Save Replay',
+                settings: 'Settings',
+                music: 'Music',
+                sfx: 'Sound Effects',
+                damageNumbers: 'Damage Numbers',
+                hitFlash: 'Hit Flash',
+                hitStop: 'Hit Stop',
+                screenShake: 'Screen Shake',
+                back: 'Back',
+                on: 'On',
+                off: 'Off',
+                seed: 'Seed'
+            },
+            ka: {
+                title: 'პაუზა',
+                settingsTitle: 'პარამეტრები',
+                resume: 'გაგრძელება',
+                restart: 'თავიდან დაწყება',
+                saveReplay: 'ჩანაწერის შენახვა',
+                settings: 'პარამეტრები',
+                music: 'მუსიკა',
+                sfx: 'ხმოვანი ეფექტები',
+                damageNumbers: 'დაზიანების რიცხვები',
+                hitFlash: 'დარტყმის ციმციმი',
+                hitStop: 'დარტყმის შეჩერება',
+                screenShake: 'ეკრანის რყევა',
+                back: 'უკან',
+                on: 'ჩართ.',
+                off: 'გამორთ.',
+                seed: 'სიდი'
+            }
+        };
+    }
+
+    /**
+     * Resets the menu to its main page. Called every time the game is paused.
+     */
+    open() {
+        this.page = 'main';
+        this.selectedIndex = 0;
+    }
+
+    /**
+     * Builds the list of entries for the current page.
+     * @returns {Array<{label: string, action: string, setting?: string}>}
+     */
+    getEntries() {
+        const t = this.texts[this.game.selectedLanguage] || this.texts.en;
+        if (this.page === 'settings') {
+            const settings = this.game.settings;
+            return [
+                ...this.toggles.map(({ setting, text }) => ({
+                    label: `${t[text]}: ${settings[setting] ? t.on : t.off}`,
+                    action: 'toggle',
+                    setting
+                })),
+                { label: t.back, action: 'back' },
+            ];
+        }
+        const entries = [
+            { label: t.resume, action: 'resume' },
+            { label: t.restart, action: 'restart' },
+        ];
+        if (!this.game.replay && this.game.recorder.hasRecording()) {
+            entries.push({ label: t.saveReplay, action: 'saveReplay' });
+        }
+        entries.push({ label: t.settings, action: 'settings' });
+        return entries;
+    }
+
+    /**
+     * Handles a key press while the menu is open.
+     * @param {string} key The lower-cased key name from the keyboard event.
+     */
+    handleKey(key) {
+        const entries = this.getEntries();
+        switch (key) {
+            case 'arrowup':
+            case 'w':
+                this.selectedIndex = (this.selectedIndex - 1 + entries.length) % entries.length;
+                break;
+            case 'arrowdown':
+            case 's':
+                this.selectedIndex = (this.selectedIndex + 1) % entries.length;
+                break;
+            case 'enter':
+                this.activate(entries[this.selectedIndex]);
+                break;
+        }
+    }
+
+    /**
+     * Handles a click on the canvas while the menu is open.
+     * @param {number} x The x-coordinate in canvas pixels.
+     * @param {number} y The y-coordinate in canvas pixels.
+     */
+    handleClick(x, y) {
+        const index = this.getEntryIndexAt(x, y);
+        if (index !== -1) {
+            this.selectedIndex = index;
+            this.activate(this.getEntries()[index]);
+        }
+    }
+
+    /**
+     * Finds the entry under a point on the canvas.
+     * @param {number} x The x-coordinate in canvas pixels.
+     * @param {number} y The y-coordinate in canvas pixels.
+     * @returns {number} The entry index, or -1 if no entry is there.
+     */
+    getEntryIndexAt(x, y) {
+        const entryX = (this.game.width - this.entryWidth) / 2;
+        if (x < entryX || x > entryX + this.entryWidth) return -1;
+
+        const entries = this.getEntries();
+        for (let i = 0; i < entries.length; i++) {
+            const entryY = this.firstEntryY + i * this.entryHeight;
+            if (y >= entryY && y < entryY + this.entryHeight) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Performs the action bound to a menu entry.
+     * @param {{action: string, setting?: string}} entry The entry, with the setting it toggles if any.
+     */
+    activate({ action, setting }) {
+        switch (action) {
+            case 'resume':
+                this.game.resume();
+                break;
+            case 'restart':
+                this.game.restart();
+                break;
+            case 'saveReplay':
+                this.game.saveRecording();
+                break;
+            case 'settings':
+                this.page = 'settings';
+                this.selectedIndex = 0;
+                break;
+            case 'toggle':
+                this.game.updateSettings({ [setting]: !this.game.settings[setting] });
+                break;
+            case 'back':
+                this.page = 'main';
+                // Return to the "Settings" entry
+                this.selectedIndex = this.getEntries().findIndex(entry => entry.action === 'settings');
+                break;
+        }
+    }
+
+    /**
+     * Draws the menu over the (frozen) game scene.
+     * @param {CanvasRenderingContext2D} context The drawing context.
+     */
+    draw(context) {
+        const t = this.texts[this.game.selectedLanguage] || this.texts.en;
+        const centerX = this.game.width / 2;
+
+        context.save();
+
+        // Dim the frozen scene
+        context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        context.fillRect(0, 0, this.game.width, this.game.height);
+
+        // Title
+        context.font = '72px "Jolly Lodger", cursive';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillStyle = '#e0e0e0';
+        context.shadowColor = 'rgba(255, 80, 80, 0.7)';
+        context.shadowBlur = 20;
+        context.fillText(this.page === 'settings' ? t.settingsTitle : t.title, centerX, this.titleY);
+
+        // Entries
+        context.font = '24px "Roboto", sans-serif';
+        const entryX = centerX - this.entryWidth / 2;
+        this.getEntries().forEach((entry, i) => {
+            const entryY = this.firstEntryY + i * this.entryHeight;
+            const isSelected = i === this.selectedIndex;
+
+            if (isSelected) {
+                context.shadowBlur = 15;
+                context.shadowColor = 'rgba(255, 50, 50, 0.6)';
+                context.fillStyle = '#5a0a0a';
+                context.beginPath();
+                context.roundRect(entryX, entryY + 4, this.entryWidth, this.entryHeight - 8, 5);
+                context.fill();
+            }
+
+            context.shadowBlur = 0;
+            context.fillStyle = isSelected ? '#f0e6d2' : '#aaa';
+            context.fillText(entry.label, centerX, entryY + this.entryHeight / 2);
+        });
+
+        // The seed, so it can be quoted in bug reports
+        context.font = '14px "Roboto", sans-serif';
+        context.fillStyle = '#777';
+        context.fillText(`${t.seed}: ${this.game.seed}`, centerX, this.game.height - 30);
+
+        context.restore();
+    }
+}
@@ -0,0 +1,63 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { Scene } from './Scene.js';
+
+/**
+ * The pause menu, pushed on top of the scene that was running. The simulation and
+ * the audio are frozen while it is open; the scene below keeps being drawn behind it.
+ */
+export class PausedScene extends Scene {
+    /**
+     * @param {Game} game The main game object.
+     */
+    constructor(game) {
+        super(game, 'PAUSED');
+        this.runsSimulation = false;
+    }
+
+    /**
+     * Opens the pause menu and suspends all audio.
+     */
+    enter() {
+        this.game.pauseMenu.open();
+        this.game.audioManager.suspend();
+    }
+
+    /**
+     * Resumes the audio suspended on entering.
+     */
+    exit() {
+        this.game.audioManager.resume();
+    }
+
+    /**
+     * Escape closes the menu; every other key navigates it.
+     * @param {string} key The lower-cased key name.
+     */
+    handleKey(key) {
+        if (key === 'escape') {
+            this.game.resume();
+        } else {
+            this.game.pauseMenu.handleKey(key);
+        }
+    }
+
+    /**
+     * Passes clicks on to the pause menu.
+     * @param {number} x The x-coordinate in canvas pixels.
+     * @param {number} y The y-coordinate in canvas pixels.
+     */
+    handleClick(x, y) {
+        this.game.pauseMenu.handleClick(x, y);
+    }
+
+    /**
+     * Draws the pause menu over the frozen scene.
+     * @param {CanvasRenderingContext2D} context The drawing context.
+     */
+    draw(context) {
+        this.game.pauseMenu.draw(context);
+    }
+}
@@ -0,0 +1,257 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { landOnSurfaces } from './Collision.js';
+import { COLLISION_LAYERS } from './CollisionSystem.js';
+import { GAME_EVENTS } from './EventBus.js';
+import { LOOT_ITEMS } from './LootData.js';
+import { SparkleParticle } from './SparkleParticle.js';
+
+/**
+ * Loot dropped by a defeated enemy: a coin, a health orb or a box of ammo.
+ * It pops out of the body, bounces until it comes to rest on the ground or a platform and
+ * sparkles while it waits. Once the player comes close it flies to them, and it is collected
+ * on contact. Items the player can't use right now (health at full, no room for more ammo)
+ * stay where they are. Uncollected loot fades away after a while.
+ */
+export class Pickup {
+    /**
+     * @param {Game} game The main game object.
+     * @param {string} itemId A key of LOOT_ITEMS, e.g. 'coin'.
+     * @param {number} x The x-coordinate of the pickup's center.
+     * @param {number} y The y-coordinate of the pickup's center.
+     * @param {Object} [velocity] The pop it starts with, in pixels per tick.
+     * @param {number} [velocity.speedX=0]
+     * @param {number} [velocity.speedY=-8]
+     */
+    constructor(game, itemId, x, y, { speedX = 0, speedY = -8 } = {}) {
+        const item = LOOT_ITEMS[itemId];
+        if (!item) {
+            throw new Error(`Unknown loot item: ${itemId}`);
+        }
+
+        this.game = game;
+        this.itemId = itemId;
+        this.item = item;
+        this.width = item.size;
+        this.height = item.size;
+        this.x = x - this.width / 2;
+        this.y = y - this.height / 2;
+
+        this.speedX = speedX;
+        this.speedY = speedY;
+        this.gravity = 0.5;
+        this.verticalOffset = 0; // Rests right on the surface
+        this.bounciness = 0.45; // Share of the falling speed kept for the rebound...
+        this.minBounceSpeed = 2; // ...as long as it falls faster than this
+        this.friction = 0.85; // Share of the sideways speed kept per tick while on a surface
+        this.isGrounded = false;
+
+        this.magnetRadius = 140; // How close the player must come for the pickup to fly to them
+        this.magnetAcceleration = 0.6; // Pixels per tick, gained every tick of the flight...
+        this.maxMagnetSpeed = 14; // ...up to this speed
+        this.magnetSpeed = 0;
+        this.isMagnetized = false;
+
+        this.collectDelay = 400; // ms before it can be collected, so it visibly pops out of the body first
+        this.lifetime = 20000; // ms before uncollected loot disappears...
+        this.fadeDuration = 3000; // ...blinking for this long before it does
+        this.age = 0;
+
+        this.sparkles = [];
+        this.sparkleTimer = 0;
+        this.sparkleInterval = 180; // ms between sparkles
+        this.markedForDeletion = false;
+
+        this.game.collisions.add({
+            owner: this,
+            layer: COLLISION_LAYERS.SCENERY,
+            mask: COLLISION_LAYERS.PLAYER,
+            getBounds: () => this.getHitbox(),
+            isActive: () => this.canBeCollected(),
+            onHit: () => this.collect(),
+        });
+    }
+
+    /**
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getHitbox() {
+        return { x: this.x, y: this.y, width: this.width, height: this.height };
+    }
+
+    /**
+     * Checks whether the player could take the pickup right now: it has finished popping out,
+     * the player is alive and in control, and has a use for the item.
+     * @returns {boolean}
+     */
+    canBeCollected() {
+        const player = this.game.player;
+        return !this.markedForDeletion &&
+            this.age >= this.collectDelay &&
+            !!player && !player.isDead && !player.isFrozen &&
+            player.canCollect(this.itemId);
+    }
+
+    /**
+     * Hands the item to the player and removes the pickup.
+     */
+    collect() {
+        if (!this.canBeCollected()) return;
+        const player = this.game.player;
+        player.collect(this.itemId, this.item.value);
+        this.markedForDeletion = true;
+        this.game.events.emit(GAME_EVENTS.LOOT_COLLECTED, { pickup: this, player });
+    }
+
+    /**
+     * Moves the pickup: towards the player while magnetized, otherwise under gravity,
+     * bouncing off the surfaces it lands on.
+     * @param {number} deltaTime - Time since the last frame.
+     */
+    update(deltaTime) {
+        this.age += deltaTime;
+        if (this.age >= this.lifetime) {
+            this.markedForDeletion = true;
+            return;
+        }
+
+        const player = this.game.player;
+        const canBeCollected = this.canBeCollected();
+        const targetX = player ? player.x + player.width / 2 : 0;
+        const targetY = player ? player.y + player.height / 2 : 0;
+        const distance = Math.hypot(targetX - (this.x + this.width / 2), targetY - (this.y + this.height / 2));
+        this.isMagnetized = canBeCollected && (this.isMagnetized || distance <= this.magnetRadius);
+
+        if (this.isMagnetized) {
+            this.flyTowards(targetX, targetY, distance);
+        } else {
+            this.magnetSpeed = 0;
+            this.fall();
+        }
+
+        // Sparkle while waiting to be picked up
+        this.sparkleTimer += deltaTime;
+        if (this.sparkleTimer > this.sparkleInterval) {
+            this.sparkleTimer = 0;
+            this.sparkles.push(new SparkleParticle(this, 2));
+        }
+        this.sparkles.forEach(sparkle => sparkle.update());
+        this.sparkles = this.sparkles.filter(sparkle => !sparkle.markedForDeletion);
+    }
+
+    /**
+     * Flies straight at a point, faster every tick.
+     * @param {number} targetX
+     * @param {number} targetY
+     * @param {number} distance How far away the point is.
+     */
+    flyTowards(targetX, targetY, distance) {
+        this.magnetSpeed = Math.min(this.maxMagnetSpeed, this.magnetSpeed + this.magnetAcceleration);
+        const step = Math.min(this.magnetSpeed, distance);
+        if (distance > 0) {
+            this.x += (targetX - (this.x + this.width / 2)) / distance * step;
+            this.y += (targetY - (this.y + this.height / 2)) / distance * step;
+        }
+        this.speedX = 0;
+        this.speedY = 0;
+        this.isGrounded = false;
+    }
+
+    /**
+     * Falls, bounces on landing and slides to a stop.
+     */
+    fall() {
+        this.x += this.speedX;
+        const worldWidth = this.game.worldWidth;
+        if (this.x < 0 || this.x > worldWidth - this.width) {
+            this.x = Math.max(0, Math.min(this.x, worldWidth - this.width));
+            this.speedX = -this.speedX;
+        }
+
+        const previousY = this.y;
+        this.speedY += this.gravity;
+        this.y += this.speedY;
+
+        const fallSpeed = this.speedY;
+        this.isGrounded = landOnSurfaces(this, previousY, this.game.environment);
+        if (this.isGrounded && fallSpeed > this.minBounceSpeed) {
+            this.speedY = -fallSpeed * this.bounciness;
+            this.isGrounded = false;
+        }
+        if (this.isGrounded) {
+            this.speedX *= this.friction;
+            if (Math.abs(this.speedX) < 0.05) {
+                this.speedX = 0;
+            }
+        }
+    }
+
+    /**
+     * Draws the item with a soft glow, and its sparkles. It blinks before it disappears.
+     * @param {CanvasRenderingContext2D} context The drawing context.
+     */
+    draw(context) {
+        const timeLeft = this.lifetime - this.age;
+        const isBlinkedOut = timeLeft < this.fadeDuration && Math.floor(timeLeft / 150) % 2 === 0;
+
+        if (!isBlinkedOut) {
+            const item = this.item;
+            const centerX = this.x + this.width / 2;
+            // Resting loot bobs gently, so it catches the eye
+            const bob = this.isGrounded ? Math.abs(Math.sin(this.age / 300)) * 3 : 0;
+            const centerY = this.y + this.height / 2 - bob;
+            const radius = this.width / 2;
+
+            context.save();
+            context.shadowColor = item.glow;
+            context.shadowBlur = 12;
+            context.fillStyle = item.color;
+
+            if (item.shape === 'coin') {
+                // Spins around its vertical axis
+                const spin = Math.max(0.2, Math.abs(Math.cos(this.age / 250)));
+                context.beginPath();
+                context.ellipse(centerX, centerY, radius * spin, radius, 0, 0, Math.PI * 2);
+                context.fill();
+                context.shadowBlur = 0;
+                context.strokeStyle = '#b8860b';
+                context.lineWidth = 2;
+                context.stroke();
+            } else if (item.shape === 'orb') {
+                const gradient = context.createRadialGradient(centerX - radius * 0.3, centerY - radius * 0.3, 1, centerX, centerY, radius);
+                gradient.addColorStop(0, '#ffffff');
+                gradient.addColorStop(0.4, item.color);
+                gradient.addColorStop(1, '#7f0000');
+                context.fillStyle = gradient;
+                context.beginPath();
+                context.arc(centerX, centerY, radius, 0, Math.PI * 2);
+                context.fill();
+            } else {
+                // A small crate with three bullet tips poking out of the top
+                const boxHeight = this.height * 0.6;
+                const boxTop = centerY + this.height / 2 - boxHeight;
+                context.fillStyle = '#d4a017';
+                for (let i = 0; i < 3; i++) {
+                    const tipX = this.x + this.width * (0.25 + i * 0.25);
+                    context.beginPath();
+                    context.moveTo(tipX - 2, boxTop);
+                    context.lineTo(tipX - 2, boxTop - 4);
+                    context.arc(tipX, boxTop - 4, 2, Math.PI, 0);
+                    context.lineTo(tipX + 2, boxTop);
+                    context.fill();
+                }
+                context.fillStyle = item.color;
+                context.fillRect(this.x, boxTop, this.width, boxHeight);
+                context.shadowBlur = 0;
+                context.strokeStyle = '#4e342e';
+                context.lineWidth = 1.5;
+                context.strokeRect(this.x, boxTop, this.width, boxHeight);
+            }
+            context.restore();
+        }
+
+        this.sparkles.forEach(sparkle => sparkle.draw(context));
+    }
+}
@@ -5,6 +5,10 @@
  * SPDX-License-Identifier: Apache-2.0
  */
 import { AnimationManager } from './AnimationManager.js';
+import { landOnSurfaces, findPlatformUnderFeet } from './Collision.js';
+import { COLLISION_LAYERS } from './CollisionSystem.js';
+import { GAME_EVENTS } from './EventBus.js';
+import { ABILITIES } from './AbilityData.js';
 
 /**
  * Represents the player character.
@@ -24,6 +28,12 @@ export class Player {
         this.x = (this.game.width - this.width) / 2;
         this.gravity = 1;
         this.jumpStrength = -22;
+        this.jumpCutMultiplier = 0.45; // Share of the upward speed kept when the jump key is let go early
+        this.coyoteTime = 100; // ms after running off an edge in which a jump still works
+        this.jumpBufferTime = 120; // ms a jump press is remembered before landing (used by the PlayerController)
+        this.coyoteTimer = 0;
+        this.canCutJump = false; // Whether the rise of the current jump can still be cut short
+        this.dropThroughPlatform = null; // A one-way platform the player is falling through (down + jump)
         this.verticalOffset = 10; // To close the visual gap with the ground
         this.y = this.environment.groundLevel - this.height + this.verticalOffset;
         this.speedX = 0;
@@ -34,17 +44,74 @@ export class Player {
         
         this.isFrozen = false; // Player state for end-game sequence
 
-        this.animationManager = new AnimationManager(this, animationsConfig, 'Player');
+        // --- Health ---
+        this.maxHealth = 100;
+        this.health = this.maxHealth;
+        this.invincibilityDuration = 1000; // ms of invincibility after a hit, while the sprite flashes
+        this.invincibleTimer = 0;
+        this.knockbackSpeedX = 6;
+        this.knockbackSpeedY = -8;
+        this.knockbackDuration = 250; // ms without control while being knocked back
+        this.knockbackTimer = 0;
+        this.isDead = false;
+        this.deathTimer = 0;
+        this.deathDuration = 1500; // ms of the death animation before respawning
+
+        this.animationManager = new AnimationManager(this, animationsConfig, 'Player', this.game.assetLoader);
         this.enemiesHitThisSwing = [];
         this.hasFiredThisShot = false;
         this.attackStartedOnGround = false; // Flag to track attack context
 
-        this.shootCooldown = 500; // Milliseconds
-        this.lastShotTime = 0;
+        this.shootCooldown = 500; // Milliseconds of simulation time
+        this.lastShotTime = -Infinity;
+        this.maxAmmo = 30;
+        this.ammo = 12; // Every shot takes a bullet; more are dropped by defeated enemies
+
+        // --- Loot ---
+        this.coins = 0;
+
+        // --- Abilities ---
+        // Unlocked by ability pickups; the PlayerController only offers the moves unlocked here.
+        this.abilities = new Set();
+        this.doubleJumpStrength = -18;
+        this.hasAirJump = true; // Whether the double jump is still unused since the last landing
+        this.dashSpeed = 14; // Pixels per tick
+        this.dashDuration = 180; // ms of dashing, untouchable and ignoring gravity
+        this.dashCooldown = 600; // ms from the start of one dash to the next
+        this.dashTimer = 0;
+        this.dashCooldownTimer = 0;
+        this.hasAirDash = true; // Only one dash per jump
+        this.wallSlideSpeed = 2.5; // The fastest the player falls while sliding down a wall
+        this.wallJumpStrength = -18;
+        this.wallJumpSpeedX = 8; // How hard a wall jump pushes away from the wall...
+        this.wallJumpPushDuration = 180; // ...and for how many ms the push overrides the controls
+        this.wallJumpPushTimer = 0;
+        this.wall = null; // The wall being slid down, if any...
+        this.wallSide = null; // ...and which side of the player it is on: 'left' or 'right'
 
         // Add footstep audio properties
         this.isPlayingFootsteps = false;
         this.lastFrameForFootstep = -1;
+
+        // The knife hurts whatever enemy is in reach while the melee animation plays.
+        this.game.collisions.add({
+            owner: this,
+            layer: COLLISION_LAYERS.PLAYER_ATTACK,
+            mask: COLLISION_LAYERS.ENEMY,
+            getBounds: () => this.getAttackHitbox(),
+            isActive: () => this.animationManager.currentAnimationName === 'melee',
+            onHit: other => this.onKnifeHit(other.owner),
+        });
+
+        // Touching a living enemy hurts.
+        this.game.collisions.add({
+            owner: this,
+            layer: COLLISION_LAYERS.PLAYER,
+            mask: COLLISION_LAYERS.ENEMY,
+            getBounds: () => this.getHitbox(),
+            isActive: () => !this.isDead && !this.isFrozen,
+            onHit: other => this.takeDamage(other.owner.contactDamage, other.owner.x + other.owner.width / 2),
+        });
     }
 
     /**
@@ -64,6 +131,117 @@ export class Player {
         }
     }
 
+    /**
+     * Checks whether the controls currently move the player: not while frozen,
+     * dead or being knocked back by a hit.
+     * @returns {boolean}
+     */
+    hasControl() {
+        return !this.isFrozen && !this.isDead && this.knockbackTimer <= 0;
+    }
+
+    /**
+     * Reduces the player's health, then knocks them away from the hit and makes them
+     * briefly invincible. Hits during the invincibility are ignored.
+     * @param {number} damage - The amount of damage to inflict.
+     * @param {number} sourceX - The x-coordinate the hit came from; the player is pushed away from it.
+     */
+    takeDamage(damage, sourceX) {
+        if (this.isDead || this.isFrozen || this.invincibleTimer > 0 || this.isDashing()) return;
+        this.health = Math.max(0, this.health - damage);
+
+        const centerX = this.x + this.width / 2;
+        this.game.events.emit(GAME_EVENTS.PLAYER_DAMAGED, {
+            player: this, damage, x: centerX, y: this.y + this.height / 2
+        });
+
+        if (this.health === 0) {
+            this.die();
+            return;
+        }
+
+        this.invincibleTimer = this.invincibilityDuration;
+        this.knockbackTimer = this.knockbackDuration;
+        this.coyoteTimer = 0; // Being knocked off a ledge gives no grace jump
+        this.canCutJump = false;
+        this.releaseWall();
+        this.speedX = centerX < sourceX ? -this.knockbackSpeedX : this.knockbackSpeedX;
+        this.speedY = this.knockbackSpeedY;
+        this.animationManager.PlayerJumpAnim();
+    }
+
+    /**
+     * Starts the death animation; the game respawns the player once it has played.
+     */
+    die() {
+        this.isDead = true;
+        this.deathTimer = 0;
+        this.speedX = 0;
+        this.invincibleTimer = 0;
+        this.knockbackTimer = 0;
+        this.animationManager.PlayerIdleAnim();
+        if (this.isPlayingFootsteps) {
+            this.audioManager.stopLoopingSound('footsteps');
+            this.isPlayingFootsteps = false;
+        }
+        this.game.events.emit(GAME_EVENTS.PLAYER_DIED, { player: this });
+    }
+
+    /**
+     * Brings the player back to life at a respawn point, with full health and
+     * a moment of invincibility.
+     * @param {{x: number, y: number}} point Where to respawn.
+     */
+    respawn(point) {
+        this.x = point.x;
+        this.y = point.y;
+        this.speedX = 0;
+        this.speedY = 0;
+        this.direction = 'right';
+        this.health = this.maxHealth;
+        this.isDead = false;
+        this.deathTimer = 0;
+        this.knockbackTimer = 0;
+        this.invincibleTimer = this.invincibilityDuration;
+        this.isGrounded = true;
+        this.coyoteTimer = this.coyoteTime; // Standing on the ground, as after a landing
+        this.dropThroughPlatform = null;
+        this.dashTimer = 0;
+        this.dashCooldownTimer = 0;
+        this.hasAirJump = true;
+        this.hasAirDash = true;
+        this.wallJumpPushTimer = 0;
+        this.releaseWall();
+        this.animationManager.PlayerIdleAnim();
+    }
+
+    /**
+     * Gets the player's hitbox, which is narrower than the sprite.
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getHitbox() {
+        return {
+            x: this.x + this.hitboxOffsetX,
+            y: this.y,
+            width: this.hitboxWidth,
+            height: this.height
+        };
+    }
+
+    /**
+     * Gets the area the knife reaches during a melee swing, in front of the player.
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getAttackHitbox() {
+        const attackRange = 80;
+        return {
+            x: this.direction === 'right' ? this.x + this.hitboxOffsetX + this.hitboxWidth - 10 : this.x + this.hitboxOffsetX + 10 - attackRange,
+            y: this.y,
+            width: attackRange,
+            height: this.height
+        };
+    }
+
     /**
      * Checks if the player is standing on a solid surface.
      * @returns {boolean}
@@ -73,14 +251,180 @@ export class Player {
     }
 
     /**
-     * Initiates a player jump if they are on a solid surface.
+     * Checks whether a jump would work now: on a surface, or within the coyote time after
+     * leaving one without jumping.
+     * @returns {boolean}
+     */
+    canJump() {
+        return this.isOnGround() || this.coyoteTimer > 0;
+    }
+
+    /**
+     * Initiates a player jump if they are on a solid surface or have only just left one.
      */
     jump() {
-        if (this.isOnGround()) {
+        if (this.canJump()) {
             this.speedY = this.jumpStrength;
+            this.coyoteTimer = 0;
+            this.canCutJump = true;
             this.animationManager.PlayerJumpAnim();
-            this.audioManager.playSound('jump', true);
+            this.game.events.emit(GAME_EVENTS.PLAYER_JUMPED, { player: this });
+        }
+    }
+
+    /**
+     * @param {string} abilityId A key of ABILITIES.
+     * @returns {boolean} Whether the player has unlocked the ability.
+     */
+    hasAbility(abilityId) {
+        return this.abilities.has(abilityId);
+    }
+
+    /**
+     * Unlocks a movement ability.
+     * @param {string} abilityId A key of ABILITIES.
+     */
+    unlockAbility(abilityId) {
+        if (!ABILITIES[abilityId]) {
+            throw new Error(`Unknown ability: ${abilityId}`);
+        }
+        this.abilities.add(abilityId);
+    }
+
+    /**
+     * Jumps again in mid-air, once until the next landing (or wall jump).
+     * @returns {boolean} Whether the player jumped.
+     */
+    doubleJump() {
+        if (this.isOnGround() || !this.hasAirJump) {
+            return false;
+        }
+        this.hasAirJump = false;
+        this.speedY = this.doubleJumpStrength;
+        this.canCutJump = true;
+        this.animationManager.PlayerJumpAnim();
+        this.game.events.emit(GAME_EVENTS.PLAYER_JUMPED, { player: this });
+        return true;
+    }
+
+    /**
+     * Dashes ahead in the direction the player faces. Nothing can hurt the player during the
+     * dash, and it leaves a trail of dust. Once per jump in the air, and not during the cooldown.
+     * @returns {boolean} Whether the player dashed.
+     */
+    dash() {
+        if (this.isDashing() || this.dashCooldownTimer > 0 || (!this.isOnGround() && !this.hasAirDash)) {
+            return false;
+        }
+        if (!this.isOnGround()) {
+            this.hasAirDash = false;
+        }
+        this.releaseWall();
+        this.dashTimer = this.dashDuration;
+        this.dashCooldownTimer = this.dashCooldown;
+        this.canCutJump = false;
+        this.game.events.emit(GAME_EVENTS.PLAYER_DASHED, { player: this });
+        return true;
+    }
+
+    /**
+     * @returns {boolean} Whether a dash is in progress.
+     */
+    isDashing() {
+        return this.dashTimer > 0;
+    }
+
+    /**
+     * Finds a wall the player is touching on one side: a tall decoration (see
+     * Environment.getWalls()) reaching at least up to the player's middle.
+     * @param {string} side 'left' or 'right'.
+     * @returns {{x: number, y: number, width: number, height: number}|null}
+     */
+    findWall(side) {
+        const hitbox = this.getHitbox();
+        return this.environment.getWalls().find(wall => {
+            const isAlongside = wall.y < hitbox.y + hitbox.height / 2 && wall.y + wall.height > hitbox.y;
+            if (!isAlongside) return false;
+            const wallCenterX = wall.x + wall.width / 2;
+            return side === 'right'
+                ? hitbox.x + hitbox.width >= wall.x - 1 && hitbox.x + hitbox.width <= wallCenterX
+                : hitbox.x <= wall.x + wall.width + 1 && hitbox.x >= wallCenterX;
+        }) || null;
+    }
+
+    /**
+     * Holds on to a wall the player is falling against, to slide down it slowly.
+     * @param {string} side The side the player is pressing towards: 'left' or 'right'.
+     * @returns {boolean} Whether the player is sliding down a wall.
+     */
+    slideOnWall(side) {
+        const wall = this.isOnGround() || this.speedY < 0 ? null : this.findWall(side);
+        if (!wall) {
+            this.releaseWall();
+            return false;
+        }
+        if (!this.wall) {
+            this.hasAirJump = true; // Catching a wall gives the double jump back
+        }
+        this.wall = wall;
+        this.wallSide = side;
+        this.direction = side;
+        return true;
+    }
+
+    /**
+     * Lets go of the wall being slid down.
+     */
+    releaseWall() {
+        this.wall = null;
+        this.wallSide = null;
+    }
+
+    /**
+     * Jumps off the wall being slid down, pushed away from it for a moment.
+     * @returns {boolean} Whether the player jumped.
+     */
+    wallJump() {
+        if (!this.wall) {
+            return false;
+        }
+        const away = this.wallSide === 'right' ? 'left' : 'right';
+        this.releaseWall();
+        this.speedY = this.wallJumpStrength;
+        this.speedX = away === 'left' ? -this.wallJumpSpeedX : this.wallJumpSpeedX;
+        this.direction = away;
+        this.wallJumpPushTimer = this.wallJumpPushDuration;
+        this.canCutJump = true;
+        this.animationManager.PlayerJumpAnim();
+        this.game.events.emit(GAME_EVENTS.PLAYER_JUMPED, { player: this });
+        return true;
+    }
+
+    /**
+     * Falls through the one-way platform the player stands on.
+     * @returns {boolean} Whether the player dropped; not on the ground or a solid platform.
+     */
+    dropThrough() {
+        const platform = this.isOnGround() ? findPlatformUnderFeet(this, this.environment) : null;
+        if (!platform || platform.isSolid) {
+            return false;
+        }
+        this.dropThroughPlatform = platform;
+        this.isGrounded = false;
+        this.coyoteTimer = 0; // Falling on purpose, so no grace jump back up
+        this.animationManager.PlayerJumpAnim();
+        return true;
+    }
+
+    /**
+     * Cuts the rise of the current jump short, for when the jump key is let go early.
+     * Only the player's own jump can be cut, and only once.
+     */
+    cutJump() {
+        if (this.canCutJump && this.speedY < 0) {
+            this.speedY *= this.jumpCutMultiplier;
         }
+        this.canCutJump = false;
     }
 
     /**
@@ -93,22 +437,68 @@ export class Player {
         this.audioManager.playSound('melee', true);
     }
 
+    /**
+     * Damages an enemy the knife reaches, once per swing.
+     * @param {Enemy} enemy The enemy in reach.
+     */
+    onKnifeHit(enemy) {
+        if (this.enemiesHitThisSwing.includes(enemy)) return;
+        // The hit lands in the middle of where the knife's reach and the enemy overlap.
+        const reach = this.getAttackHitbox();
+        const hitbox = enemy.getHitbox();
+        const hitX = (Math.max(reach.x, hitbox.x) + Math.min(reach.x + reach.width, hitbox.x + hitbox.width)) / 2;
+        const hitY = (Math.max(reach.y, hitbox.y) + Math.min(reach.y + reach.height, hitbox.y + hitbox.height)) / 2;
+        enemy.takeDamage(25, hitX, hitY, 'melee');
+        this.enemiesHitThisSwing.push(enemy);
+    }
+
     /**
      * Initiates a ranged attack, respecting a cooldown.
      */
     shoot() {
-        const currentTime = Date.now();
+        const currentTime = this.game.elapsedTime;
         if (currentTime - this.lastShotTime < this.shootCooldown) {
             return; // Cooldown is active, do nothing.
         }
+        if (this.ammo === 0) {
+            return; // Out of bullets
+        }
         
         this.attackStartedOnGround = this.isOnGround(); // Set flag based on current state
         this.lastShotTime = currentTime;
+        this.ammo--;
         this.animationManager.PlayerShootAnim();
         this.audioManager.playSound('pistolShoot', true);
         this.hasFiredThisShot = false; // Reset the flag for the new shot
     }
 
+    /**
+     * Checks whether the player has a use for a loot item right now: health orbs only
+     * heal a hurt player, and ammo only fits while the pouch isn't full.
+     * @param {string} itemId A key of LOOT_ITEMS.
+     * @returns {boolean}
+     */
+    canCollect(itemId) {
+        if (itemId === 'health') return this.health < this.maxHealth;
+        if (itemId === 'ammo') return this.ammo < this.maxAmmo;
+        return true;
+    }
+
+    /**
+     * Takes a loot item: adds coins, heals or refills ammo, never beyond the maximum.
+     * @param {string} itemId A key of LOOT_ITEMS.
+     * @param {number} value How much the item is worth.
+     */
+    collect(itemId, value) {
+        if (itemId === 'coin') {
+            this.coins += value;
+        } else if (itemId === 'health') {
+            this.health = Math.min(this.maxHealth, this.health + value);
+        } else if (itemId === 'ammo') {
+            this.ammo = Math.min(this.maxAmmo, this.ammo + value);
+        }
+    }
+
     /**
      * Updates the player's state.
      * @param {number} deltaTime - Time since the last frame.
@@ -129,7 +519,7 @@ export class Player {
         }
 
         // If game is over, stop sounds, update animation, and do nothing else.
-        if (this.game.gameState === 'GAME_OVER') {
+        if (this.game.gameState === 'ENDING') {
             if (this.isPlayingFootsteps) {
                 this.audioManager.stopLoopingSound('footsteps');
                 this.isPlayingFootsteps = false;
@@ -138,57 +528,74 @@ export class Player {
             return;
         }
 
+        this.invincibleTimer = Math.max(0, this.invincibleTimer - deltaTime);
+        this.knockbackTimer = Math.max(0, this.knockbackTimer - deltaTime);
+        this.dashCooldownTimer = Math.max(0, this.dashCooldownTimer - deltaTime);
+        this.wallJumpPushTimer = Math.max(0, this.wallJumpPushTimer - deltaTime);
+
+        if (this.isDead) {
+            this.deathTimer += deltaTime;
+            if (this.deathTimer >= this.deathDuration) {
+                this.game.respawnPlayer();
+                return;
+            }
+        }
+
+        // A dash carries the player straight ahead, leaving a trail of dust
+        if (this.isDashing()) {
+            this.dashTimer = Math.max(0, this.dashTimer - deltaTime);
+            this.speedX = this.direction === 'right' ? this.dashSpeed : -this.dashSpeed;
+            this.speedY = 0;
+            this.game.createDustEffect(this.x + this.width / 2, this.y + this.height * 0.75, this.direction);
+        }
+
         // Horizontal position is updated based on speed set by the controller
         this.x += this.speedX;
+
+        // Stay against the wall being slid down
+        if (this.wall) {
+            const hitbox = this.getHitbox();
+            const hitboxX = this.wallSide === 'right' ? this.wall.x - hitbox.width : this.wall.x + this.wall.width;
+            this.x += hitboxX - hitbox.x;
+        }
         
         const previousY = this.y;
 
-        // Apply gravity and update vertical position
-        this.speedY += this.gravity;
-        this.y += this.speedY;
-
-        let onSolidSurface = false;
-        
-        const playerHitboxX = this.x + this.hitboxOffsetX;
-
-        // Platform collision (only check if falling or on it)
-        if (this.speedY >= 0) {
-            for (const platform of this.environment.platforms) {
-                // Check for horizontal overlap and if the player was previously above the platform
-                if (
-                    playerHitboxX < platform.x + platform.width &&
-                    playerHitboxX + this.hitboxWidth > platform.x &&
-                    previousY + this.height <= platform.y + this.verticalOffset &&
-                    this.y + this.height >= platform.y
-                ) {
-                    this.y = platform.y - this.height + this.verticalOffset; // Snap to the top of the platform with offset
-                    this.speedY = 0;
-                    onSolidSurface = true;
-                    break;
-                }
-            }
+        // Apply gravity and update vertical position (a dash holds the height)
+        if (!this.isDashing()) {
+            this.speedY += this.gravity;
+        }
+        if (this.wall && this.speedY > this.wallSlideSpeed) {
+            this.speedY = this.wallSlideSpeed;
         }
+        this.y += this.speedY;
 
-        // Ground collision (if no platform was landed on)
-        if (!onSolidSurface && this.y + this.height > this.environment.groundLevel + this.verticalOffset) {
-            this.y = this.environment.groundLevel - this.height + this.verticalOffset; // Snap to ground with offset
-            this.speedY = 0;
-            onSolidSurface = true;
+        this.isGrounded = landOnSurfaces(this, previousY, this.environment);
+        if (this.isGrounded) {
+            this.coyoteTimer = this.coyoteTime;
+            this.canCutJump = false;
+            this.hasAirJump = true;
+            this.hasAirDash = true;
+            this.releaseWall();
+        } else {
+            this.coyoteTimer = Math.max(0, this.coyoteTimer - deltaTime);
         }
-        
-        this.isGrounded = onSolidSurface;
 
         // Check for the landing event
         if (!wasGrounded && this.isGrounded) {
             this.justLanded = true;
-            // Add particle effect for landing
             const footY = this.y + this.height - 5; // A bit higher than bottom
             const footX = this.x + this.width / 2;
-            this.game.createFootstepEffect(footX, footY, 8, null);
+            this.game.events.emit(GAME_EVENTS.PLAYER_LANDED, { player: this, x: footX, y: footY });
         }
         
+        // Knockback slides to a stop on landing.
+        if (this.knockbackTimer > 0 && this.isGrounded) {
+            this.speedX = 0;
+        }
+
         // Footstep sound logic
-        const isRunning = this.isOnGround() && this.speedX !== 0;
+        const isRunning = this.isOnGround() && this.speedX !== 0 && !this.isDead;
         if (isRunning && !this.isPlayingFootsteps) {
             this.audioManager.startLoopingSound('footsteps');
             this.isPlayingFootsteps = true;
@@ -197,12 +604,13 @@ export class Player {
             this.isPlayingFootsteps = false;
         }
 
-        // Keep player within horizontal WORLD bounds
-        if (this.x < 0) {
-            this.x = 0;
+        // Keep player within horizontal WORLD bounds (or the boss arena during a fight)
+        const bounds = this.game.getPlayerBounds();
+        if (this.x < bounds.left) {
+            this.x = bounds.left;
         }
-        if (this.x > this.game.worldWidth - this.width) {
-            this.x = this.game.worldWidth - this.width;
+        if (this.x > bounds.right - this.width) {
+            this.x = bounds.right - this.width;
         }
 
         this.animationManager.update(deltaTime);
@@ -239,6 +647,11 @@ export class Player {
         }
 
         context.save();
+        if (this.isDead) {
+            this.applyDeathTransform(context);
+        } else if (this.invincibleTimer > 0 && Math.floor(this.invincibleTimer / 100) % 2 === 1) {
+            context.globalAlpha = 0.3; // Flash while invincible
+        }
         if (this.direction === 'left') {
             context.scale(-1, 1);
             this.animationManager.draw(context, -this.x - this.width, this.y, this.width, this.height);
@@ -247,4 +660,22 @@ export class Player {
         }
         context.restore();
     }
+
+    /**
+     * Tips the sprite over backwards around its feet and fades it out for the death animation.
+     * @param {CanvasRenderingContext2D} context - The drawing context.
+     */
+    applyDeathTransform(context) {
+        const progress = Math.min(1, this.deathTimer / this.deathDuration);
+        const fallProgress = Math.min(1, progress / 0.4); // Falls over in the first 40%...
+        const fadeProgress = Math.max(0, (progress - 0.7) / 0.3); // ...and fades out in the last 30%
+        const angle = (Math.PI / 2) * (1 - Math.pow(1 - fallProgress, 2)); // Eased like a fall
+        const pivotX = this.x + this.width / 2;
+        const pivotY = this.y + this.height - this.verticalOffset;
+
+        context.globalAlpha = 1 - fadeProgress;
+        context.translate(pivotX, pivotY);
+        context.rotate(this.direction === 'right' ? -angle : angle);
+        context.translate(-pivotX, -pivotY);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,363 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from './Headless.js';
+import { GAME_EVENTS } from './EventBus.js';
+
+/**
+ * Starts a run with the player in control and nothing around to interfere: the enemies and
+ * their graves are removed and the player can't be hurt.
+ * @returns {Promise<{game: Game, input: ScriptedInput, player: Player}>}
+ */
+async function startQuietRun() {
+    const { game, input } = await createHeadlessGame({ seed: 3 });
+    game.step(400);
+    game.world.query('enemy').forEach(enemy => { enemy.markedForDeletion = true; });
+    game.world.query('spawner').forEach(spawner => { spawner.markedForDeletion = true; });
+    game.player.invincibleTimer = Infinity;
+    game.step(1);
+    return { game, input, player: game.player };
+}
+
+/**
+ * Counts the jumps the player makes while a callback runs.
+ * @param {Game} game
+ * @param {Function} callback
+ * @returns {number}
+ */
+function countJumps(game, callback) {
+    let jumps = 0;
+    const stopCounting = game.events.on(GAME_EVENTS.PLAYER_JUMPED, () => jumps++);
+    callback();
+    stopCounting();
+    return jumps;
+}
+
+/**
+ * Puts the player in the air above the ground, away from the platforms, at rest.
+ * @param {Player} player
+ * @param {number} height How far above the ground the feet are.
+ */
+function dropFrom(player, height) {
+    player.x = 300;
+    player.y = player.environment.groundLevel - player.height + player.verticalOffset - height;
+    player.speedY = 0;
+    player.isGrounded = false;
+}
+
+/**
+ * Steps until the player lands.
+ * @param {Game} game
+ * @returns {number} How many ticks the fall took.
+ */
+function stepUntilLanded(game) {
+    let ticks = 0;
+    while (!game.player.isOnGround() && ticks < 300) {
+        game.step(1);
+        ticks++;
+    }
+    return ticks;
+}
+
+/**
+ * Presses a key for one tick.
+ * @param {Game} game
+ * @param {ScriptedInput} input
+ * @param {string} key
+ */
+function tap(game, input, key) {
+    input.press(key);
+    game.step(1);
+    input.release(key);
+}
+
+/**
+ * Measures how high a jump from the ground goes.
+ * @param {Game} game
+ * @param {ScriptedInput} input
+ * @param {number} holdTicks How long Space is held.
+ * @returns {number} The height of the apex, in pixels.
+ */
+function jumpHeight(game, input, holdTicks) {
+    const player = game.player;
+    const startY = player.y;
+    let topY = startY;
+    input.press(' ');
+    for (let tick = 0; tick < 80; tick++) {
+        if (tick === holdTicks) input.release(' ');
+        game.step(1);
+        topY = Math.min(topY, player.y);
+    }
+    input.release(' ');
+    stepUntilLanded(game);
+    game.step(5); // So the next press is a fresh one
+    return startY - topY;
+}
+
+test('holding Space jumps higher than tapping it', async () => {
+    const { game, input } = await startQuietRun();
+
+    const fullJump = jumpHeight(game, input, 80);
+    const shortHop = jumpHeight(game, input, 3);
+
+    assert.ok(shortHop > 0);
+    assert.ok(fullJump > shortHop * 1.5, `full ${fullJump} vs. tap ${shortHop}`);
+});
+
+test('a jump still works just after running off an edge (coyote time)', async () => {
+    const { game, input, player } = await startQuietRun();
+    const platform = game.environment.platforms[0];
+
+    /**
+     * Runs off the right end of the platform and presses Space some ticks after leaving it.
+     * @param {number} lateTicks
+     * @returns {number} The jumps made.
+     */
+    function jumpAfterEdge(lateTicks) {
+        player.x = platform.x + platform.width - player.width / 2 - 10;
+        player.y = platform.y - player.height + player.verticalOffset;
+        player.speedY = 0;
+        game.step(2);
+        assert.ok(player.isOnGround());
+
+        input.press('d');
+        while (player.isOnGround()) game.step(1);
+        game.step(lateTicks);
+        const jumps = countJumps(game, () => tap(game, input, ' '));
+        input.release('d');
+        stepUntilLanded(game);
+        return jumps;
+    }
+
+    const coyoteTicks = player.coyoteTime / game.fixedTimeStep;
+    assert.equal(jumpAfterEdge(Math.floor(coyoteTicks / 2)), 1);
+    assert.equal(jumpAfterEdge(Math.ceil(coyoteTicks) + 3), 0);
+});
+
+test('a jump pressed just before landing happens on landing (jump buffer)', async () => {
+    const { game, input, player } = await startQuietRun();
+    dropFrom(player, 200);
+    const fallTicks = stepUntilLanded(game);
+
+    /**
+     * Drops the player and presses Space some ticks before they land.
+     * @param {number} earlyTicks
+     * @returns {number} The jumps made.
+     */
+    function jumpBeforeLanding(earlyTicks) {
+        dropFrom(player, 200);
+        return countJumps(game, () => {
+            game.step(fallTicks - earlyTicks);
+            tap(game, input, ' ');
+            game.step(earlyTicks + 2);
+        });
+    }
+
+    const bufferTicks = player.jumpBufferTime / game.fixedTimeStep;
+    assert.equal(jumpBeforeLanding(Math.floor(bufferTicks / 2)), 1);
+    stepUntilLanded(game);
+    assert.equal(jumpBeforeLanding(Math.ceil(bufferTicks) + 5), 0);
+});
+
+/**
+ * Stands the player in the middle of a platform.
+ * @param {Game} game
+ * @param {Object} platform
+ */
+function standOn(game, platform) {
+    const player = game.player;
+    player.x = platform.x + platform.width / 2 - player.width / 2;
+    player.y = platform.y - player.height + player.verticalOffset;
+    player.speedY = 0;
+    game.step(2);
+    assert.ok(player.isOnGround());
+}
+
+/**
+ * @param {Player} player
+ * @returns {number} The y-coordinate of the player's feet.
+ */
+function feetY(player) {
+    return player.y + player.height - player.verticalOffset;
+}
+
+test('S + Space drops through a one-way platform', async () => {
+    const { game, input, player } = await startQuietRun();
+    const platform = game.environment.platforms.find(candidate => !candidate.isSolid);
+    standOn(game, platform);
+
+    input.press('s');
+    const jumps = countJumps(game, () => tap(game, input, ' '));
+    input.release('s');
+    stepUntilLanded(game);
+
+    assert.equal(jumps, 0);
+    assert.equal(feetY(player), game.environment.groundLevel);
+});
+
+test('a jump from below passes up through a one-way platform and lands on it', async () => {
+    const { game, input, player } = await startQuietRun();
+    const platform = game.environment.platforms.find(candidate => !candidate.isSolid && candidate.y > 300);
+    player.x = platform.x + platform.width / 2 - player.width / 2;
+    game.step(5);
+    assert.equal(feetY(player), game.environment.groundLevel);
+
+    input.press(' ');
+    game.step(80);
+    input.release(' ');
+    stepUntilLanded(game);
+
+    assert.equal(feetY(player), platform.y);
+});
+
+test('a solid platform can be neither dropped through nor jumped through', async () => {
+    const { game, input, player } = await startQuietRun();
+    const platform = game.environment.platforms.find(candidate => candidate.isSolid);
+
+    standOn(game, platform);
+    input.press('s');
+    tap(game, input, ' ');
+    input.release('s');
+    game.step(80);
+    stepUntilLanded(game);
+    assert.equal(feetY(player), platform.y, 'S + Space on a solid platform is an ordinary jump');
+
+    player.x = platform.x + platform.width / 2 - player.width / 2;
+    player.y = game.environment.groundLevel - player.height + player.verticalOffset;
+    game.step(5);
+    let highestHeadY = player.y;
+    input.press(' ');
+    for (let tick = 0; tick < 80; tick++) {
+        game.step(1);
+        highestHeadY = Math.min(highestHeadY, player.y);
+    }
+    input.release(' ');
+    stepUntilLanded(game);
+
+    assert.ok(highestHeadY >= platform.y + platform.height - 1, 'the head bumps the underside');
+    assert.equal(feetY(player), game.environment.groundLevel);
+});
+
+/**
+ * Jumps from the ground and presses Space again near the apex.
+ * @param {Game} game
+ * @param {ScriptedInput} input
+ * @returns {{jumps: number, height: number}} The jumps made and how high the player got.
+ */
+function jumpTwice(game, input) {
+    const player = game.player;
+    const startY = player.y;
+    let topY = startY;
+    const jumps = countJumps(game, () => {
+        input.press(' ');
+        game.step(20);
+        input.release(' ');
+        game.step(1);
+        input.press(' ');
+        for (let tick = 0; tick < 60; tick++) {
+            game.step(1);
+            topY = Math.min(topY, player.y);
+        }
+        input.release(' ');
+        stepUntilLanded(game);
+        game.step(5);
+    });
+    return { jumps, height: startY - topY };
+}
+
+test('the double jump only works once unlocked, by its crystal', async () => {
+    const { game, input, player } = await startQuietRun();
+    player.x = 600;
+    game.step(5);
+
+    const locked = jumpTwice(game, input);
+    assert.equal(locked.jumps, 1);
+
+    const crystal = game.world.query('abilityPickup').find(pickup => pickup.abilityId === 'doubleJump');
+    player.x = crystal.x - player.width / 2;
+    game.step(3);
+    assert.ok(player.hasAbility('doubleJump'));
+    assert.ok(crystal.markedForDeletion);
+
+    const unlocked = jumpTwice(game, input);
+    assert.equal(unlocked.jumps, 2);
+    assert.ok(unlocked.height > locked.height * 1.3, `double ${unlocked.height} vs. single ${locked.height}`);
+});
+
+test('a dash covers ground fast, ignores damage and waits for its cooldown', async () => {
+    const { game, input, player } = await startQuietRun();
+    player.x = 1500;
+    player.direction = 'right';
+    game.step(5);
+
+    tap(game, input, 'shift');
+    game.step(1);
+    assert.ok(!player.isDashing(), 'the dash is locked at first');
+
+    player.unlockAbility('dash');
+    player.invincibleTimer = 0;
+    const startX = player.x;
+    tap(game, input, 'shift');
+    assert.ok(player.isDashing());
+    player.takeDamage(10, player.x);
+    assert.equal(player.health, player.maxHealth);
+
+    game.step(Math.ceil(player.dashDuration / game.fixedTimeStep));
+    assert.ok(!player.isDashing());
+    assert.ok(player.x - startX > 100, `the dash only covered ${player.x - startX}`);
+
+    tap(game, input, 'shift');
+    assert.ok(!player.isDashing(), 'the cooldown has not run out yet');
+});
+
+test('holding towards a wall in mid-air slides down it, and Space jumps off it', async () => {
+    const { game, input, player } = await startQuietRun();
+    player.unlockAbility('wallSlide');
+    const environment = game.environment;
+    const wall = { x: 400, y: environment.groundLevel - 400, width: 40, height: 400 };
+    environment.getWalls = () => [wall];
+
+    player.x = wall.x - 20 - player.hitboxOffsetX - player.hitboxWidth;
+    player.y = environment.groundLevel - 380;
+    player.speedY = 0;
+    player.isGrounded = false;
+    input.press('d');
+    let slidingTicks = 0;
+    for (let tick = 0; tick < 40; tick++) {
+        game.step(1);
+        if (player.wall) slidingTicks++;
+    }
+    assert.ok(slidingTicks > 20);
+    assert.equal(player.speedY, player.wallSlideSpeed);
+
+    const jumps = countJumps(game, () => tap(game, input, ' '));
+    input.release('d');
+    assert.equal(jumps, 1);
+    assert.ok(player.speedX < 0, 'the wall jump pushes away from the wall');
+    assert.equal(player.direction, 'left');
+});
+
+test('respawning resets the dash cooldown and the air jump', async () => {
+    const { game, input, player } = await startQuietRun();
+    player.unlockAbility('doubleJump');
+    player.unlockAbility('dash');
+    player.x = 600;
+    game.step(5);
+    input.press(' ');
+    game.step(10);
+    input.release(' ');
+    game.step(1);
+    tap(game, input, ' ');
+    tap(game, input, 'shift');
+    assert.ok(!player.hasAirJump);
+    assert.ok(player.dashCooldownTimer > 0);
+
+    player.respawn({ x: 600, y: player.y });
+
+    assert.ok(player.hasAirJump);
+    assert.equal(player.dashCooldownTimer, 0);
+    assert.equal(player.coyoteTimer, player.coyoteTime);
+});
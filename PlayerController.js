@@ -5,37 +5,21 @@
  * SPDX-License-Identifier: Apache-2.0
  */
 
-/**
- * Handles keyboard inputs for player actions.
- * A simple set-based implementation to track currently pressed keys.
- */
-class InputHandler {
-    constructor() {
-        this.keys = new Set();
-        this.handleKeyDown = (e) => this.keys.add(e.key.toLowerCase());
-        this.handleKeyUp = (e) => this.keys.delete(e.key.toLowerCase());
-        window.addEventListener('keydown', this.handleKeyDown);
-        window.addEventListener('keyup', this.handleKeyUp);
-    }
-
-    detach() {
-        window.removeEventListener('keydown', this.handleKeyDown);
-        window.removeEventListener('keyup', this.handleKeyUp);
-    }
-}
-
 /**
  * Controls the player character's state (movement, animation) based on user input.
  */
 export class PlayerController {
     /**
      * @param {Player} player The player instance to control.
+     * @param {InputHandler|ScriptedInput} inputHandler The source of pressed keys.
      */
-    constructor(player) {
+    constructor(player, inputHandler) {
         this.player = player;
-        this.inputHandler = new InputHandler();
-        this.playerSpeed = 5; // Movement speed in pixels per frame
+        this.inputHandler = inputHandler;
+        this.inputHandler.attach();
+        this.playerSpeed = 5; // Movement speed in pixels per simulation tick
         this.actionKeysState = {}; // For one-click actions
+        this.jumpBufferTimer = 0; // ms left in which a jump press still turns into a jump
 
         // --- State for A/D confusion effect ---
         this.confusedTimer = 0;
@@ -59,14 +43,29 @@ export class PlayerController {
 
         // --- Update one-click action states ---
         const jumpPressed = keys.has(' ') && !this.actionKeysState[' '];
+        const jumpReleased = !keys.has(' ') && this.actionKeysState[' '];
         const shootPressed = keys.has('q') && !this.actionKeysState['q'];
         const meleePressed = keys.has('w') && !this.actionKeysState['w'];
+        const dashPressed = keys.has('shift') && !this.actionKeysState['shift'];
 
         this.actionKeysState[' '] = keys.has(' ');
         this.actionKeysState['q'] = keys.has('q');
         this.actionKeysState['w'] = keys.has('w');
+        this.actionKeysState['shift'] = keys.has('shift');
         // --- End one-click logic ---
 
+        // --- Jump timing ---
+        // A press is remembered for a moment, so one made just before landing still jumps...
+        if (jumpPressed) {
+            this.jumpBufferTimer = this.player.jumpBufferTime;
+        } else {
+            this.jumpBufferTimer = Math.max(0, this.jumpBufferTimer - deltaTime);
+        }
+        // ...and letting go of the key early makes for a lower jump.
+        if (jumpReleased) {
+            this.player.cutJump();
+        }
+
         const isAttacking = ['melee', 'shoot'].includes(animManager.currentAnimationName);
         if (!isAttacking) {
             this.player.attackStartedOnGround = false;
@@ -89,8 +88,37 @@ export class PlayerController {
             this.confusedSoundPlayed = false;
         }
 
+        // --- Abilities ---
+        // Each move is only offered once its ability has been unlocked.
+        if (dashPressed && !isAttacking && this.player.hasAbility('dash') && this.player.dash()) {
+            animManager.PlayerRunAnim();
+        }
+        if (this.player.isDashing()) {
+            return; // The dash carries the player; everything else waits until it is over
+        }
+        const pressedSide = isMovingRight && !isMovingLeft ? 'right' : isMovingLeft && !isMovingRight ? 'left' : null;
+        if (this.player.hasAbility('wallSlide') && pressedSide) {
+            this.player.slideOnWall(pressedSide);
+        } else {
+            this.player.releaseWall();
+        }
+
         // --- Animation State Machine ---
-        if (this.player.justLanded) {
+        if (!isAttacking && this.jumpBufferTimer > 0 && this.player.canJump()) {
+            // Also covers a press buffered before landing and one just after running off an edge.
+            // Holding down drops through a one-way platform instead; elsewhere it jumps as usual.
+            this.jumpBufferTimer = 0;
+            if (!(keys.has('s') && this.player.dropThrough())) {
+                this.player.jump();
+                if (!keys.has(' ')) {
+                    this.player.cutJump(); // The key was let go while the press was buffered
+                }
+            }
+        } else if (!isAttacking && jumpPressed && this.player.hasAbility('wallSlide') && this.player.wallJump()) {
+            this.jumpBufferTimer = 0;
+        } else if (!isAttacking && jumpPressed && this.player.hasAbility('doubleJump') && this.player.doubleJump()) {
+            this.jumpBufferTimer = 0;
+        } else if (this.player.justLanded) {
             // High-priority check: if we just landed, override other animations,
             // but only if we are NOT in the middle of an attack.
             if (!isAttacking) {
@@ -105,9 +133,7 @@ export class PlayerController {
         } else if (!isAttacking) {
             // Only allow new actions if not currently in an attack animation.
             if (this.player.isOnGround()) {
-                if (jumpPressed) {
-                    this.player.jump();
-                } else if (shootPressed) {
+                if (shootPressed) {
                     this.player.shoot();
                 } else if (meleePressed) {
                     this.player.meleeAttack();
@@ -132,6 +158,11 @@ export class PlayerController {
         }
 
         // --- Horizontal Movement & Direction ---
+        // The push off a wall carries the player for a moment, whatever the keys say.
+        if (this.player.wallJumpPushTimer > 0) {
+            return;
+        }
+
         const isActionLocked = isAttacking && this.player.attackStartedOnGround;
 
         if (isActionLocked) {
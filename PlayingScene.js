@@ -0,0 +1,102 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { Scene } from './Scene.js';
+import { Bullet } from './Bullet.js';
+import { LAYERS } from './World.js';
+
+/**
+ * The main gameplay scene, where the player has control: movement, shooting,
+ * melee, opening the chest and finding the resume scroll.
+ */
+export class PlayingScene extends Scene {
+    /**
+     * @param {Game} game The main game object.
+     */
+    constructor(game) {
+        super(game, 'PLAYING');
+        this.canPause = true;
+        this.autosaveInterval = 5000; // ms of play between autosaves
+        this.autosaveTimer = 0;
+    }
+
+    /**
+     * Starts counting towards the next autosave.
+     */
+    enter() {
+        this.autosaveTimer = 0;
+    }
+
+    /**
+     * Updates the world and then the active gameplay logic.
+     * @param {number} deltaTime Time since the last tick.
+     */
+    update(deltaTime) {
+        const game = this.game;
+        game.updateWorld(deltaTime);
+        game.updateNotice(deltaTime);
+
+        if (!game.player || !game.playerController || !game.environment || !game.camera) {
+            return;
+        }
+        
+        // No control while frozen for the end sequence, dying or knocked back by a hit.
+        if (game.player.hasControl()) {
+            game.playerController.update(deltaTime);
+        }
+
+        // Check if the scroll has finished its animation to trigger the end game
+        game.world.query('scroll').forEach(scroll => {
+            if (scroll.awaitingDialogueTrigger) {
+                game.endGameSequence();
+                scroll.awaitingDialogueTrigger = false; // Prevent re-triggering
+            }
+        });
+
+        // Handle chest opening with 'E' key
+        if (game.input.keys.has('e')) {
+            game.world.query('chest').forEach(chest => {
+                // Player must be in range and on the ground to open.
+                if (chest.state === 'closed' && chest.isPlayerInRange && game.player.isOnGround()) {
+                    chest.open();
+                }
+            });
+        }
+
+        // Handle bullet firing
+        if (game.player.animationManager.currentAnimationName === 'shoot' && 
+            game.player.animationManager.currentFrame === 1 && 
+            !game.player.hasFiredThisShot) 
+        {
+            const bulletYOffset = game.player.height * 0.55;
+            const bulletXOffset = game.player.direction === 'right' ? game.player.width - 10 : -10;
+            const bullet = new Bullet(game, game.player.x + bulletXOffset, game.player.y + bulletYOffset - 5, game.player.direction);
+            game.world.add(bullet, { tags: ['bullet'], layer: LAYERS.PROJECTILES });
+            game.player.hasFiredThisShot = true;
+        }
+
+        // Knife swings, bullets, enemy attacks, checkpoints, loot and the blinking eyes react through their colliders.
+        game.collisions.update();
+
+        // Autosave now and then; if the player is airborne, try again on the next tick.
+        this.autosaveTimer += deltaTime;
+        if (this.autosaveTimer >= this.autosaveInterval && game.saveProgress()) {
+            this.autosaveTimer = 0;
+        }
+    }
+
+    /**
+     * Draws the world and the health bars of the player and, during a fight, the boss.
+     * @param {CanvasRenderingContext2D} context The drawing context.
+     * @param {number} alpha Blend factor between the previous and current tick.
+     */
+    draw(context, alpha) {
+        const game = this.game;
+        game.drawWorld(context, alpha);
+        game.drawHealthBar(context);
+        game.drawLootCounters(context);
+        game.drawNotice(context);
+        game.world.query('arena').forEach(arena => arena.drawHealthBar(context));
+    }
+}
@@ -0,0 +1,96 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * A small seedable pseudo-random number generator (mulberry32).
+ * All gameplay and effect randomness goes through an instance of this class owned by
+ * the Game, so two runs with the same seed and the same inputs play out identically.
+ */
+export class Random {
+    /**
+     * @param {number|string} seed The seed; strings are hashed to a number.
+     */
+    constructor(seed) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Picks a fresh seed for runs where none was requested.
+     * This is the only place allowed to use Math.random.
+     * @returns {number} A 32-bit unsigned integer seed.
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    /**
+     * Turns a seed given as a number or string (e.g. from a query parameter) into a 32-bit integer.
+     * @param {number|string} value The seed value.
+     * @returns {number} A 32-bit unsigned integer seed.
+     */
+    static toSeed(value) {
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return value >>> 0;
+        }
+        const text = String(value);
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+        // FNV-1a hash for arbitrary strings
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Restarts the sequence from a seed.
+     * @param {number|string} seed The seed.
+     */
+    setSeed(seed) {
+        this.seed = Random.toSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * @returns {number} A float in [0, 1), like Math.random().
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * @param {number} min The inclusive lower bound.
+     * @param {number} max The exclusive upper bound.
+     * @returns {number} A float in [min, max).
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * @param {number} max The exclusive upper bound.
+     * @returns {number} An integer in [0, max).
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Creates an independent generator derived from this one's seed. Use it for consumers
+     * driven by wall-clock time (like audio), so they don't disturb the simulation's sequence.
+     * @param {string} label A name that distinguishes the derived stream.
+     * @returns {Random}
+     */
+    fork(label) {
+        return new Random(Random.toSeed(`${this.seed}:${label}`));
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * An input adapter that plays back a recording made by InputRecorder instead of
+ * reading the keyboard. It also holds the playback controls (pause, single step
+ * and 1x/2x/4x speed), which the game loop consults when advancing the simulation.
+ */
+export class ReplayInput {
+    /**
+     * @param {Object} recording A recording as produced by InputRecorder.toJSON().
+     */
+    constructor(recording) {
+        ReplayInput.validate(recording);
+        this.recording = recording;
+        this.keys = new Set();
+
+        // --- Playback state ---
+        this.speed = 1; // 1, 2 or 4
+        this.rewind(); // Also sets isPaused and pendingSteps (ticks to run while paused)
+    }
+
+    /**
+     * Throws if an object does not look like a supported recording.
+     * @param {Object} recording The parsed replay file.
+     */
+    static validate(recording) {
+        if (!recording || recording.version !== 1 || !Array.isArray(recording.frames) ||
+            recording.seed === undefined) {
+            throw new Error('Unsupported or damaged replay file.');
+        }
+    }
+
+    // The player controller attaches and detaches its input; playback has nothing to hook up.
+    attach() {}
+    detach() {}
+
+    /**
+     * Goes back to the first recorded tick.
+     */
+    rewind() {
+        this.isPaused = false;
+        this.pendingSteps = 0;
+        this.frameIndex = 0;
+        this.ticksLeftInFrame = this.recording.frames[0]?.[1] ?? 0;
+        this.tick = 0;
+        this.keys = new Set();
+    }
+
+    /**
+     * @returns {boolean} Whether every recorded tick has been played.
+     */
+    isFinished() {
+        return this.tick >= this.recording.tickCount;
+    }
+
+    /**
+     * Loads the keys for the next simulation tick. After the end of the recording no keys are held.
+     */
+    nextTick() {
+        if (this.isFinished()) {
+            this.keys = new Set();
+            return;
+        }
+
+        const [keys] = this.recording.frames[this.frameIndex];
+        this.keys = new Set(keys);
+        this.tick++;
+        if (this.isFinished()) {
+            this.isPaused = true; // Hold the final state on screen
+        }
+        this.ticksLeftInFrame--;
+        if (this.ticksLeftInFrame <= 0) {
+            this.frameIndex++;
+            this.ticksLeftInFrame = this.recording.frames[this.frameIndex]?.[1] ?? 0;
+        }
+    }
+
+    /**
+     * Pauses or continues the playback.
+     */
+    togglePause() {
+        this.isPaused = !this.isPaused;
+        this.pendingSteps = 0;
+    }
+
+    /**
+     * Advances exactly one tick. Only meaningful while the playback is paused.
+     */
+    requestStep() {
+        if (this.isPaused) {
+            this.pendingSteps++;
+        }
+    }
+
+    /**
+     * @param {number} speed The playback speed multiplier (1, 2 or 4).
+     */
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+
+    /**
+     * Draws the playback status in the top-right corner of the screen.
+     * @param {CanvasRenderingContext2D} context The drawing context.
+     * @param {number} screenWidth The width of the screen.
+     */
+    drawStatus(context, screenWidth) {
+        const status = this.isFinished() ? 'END' : this.isPaused ? 'PAUSED' : `${this.speed}x`;
+        const lines = [
+            `REPLAY  ${status}  ${this.tick}/${this.recording.tickCount}`,
+            'P pause  .  step  1/2/4 speed  X exit'
+        ];
+
+        context.save();
+        context.textAlign = 'right';
+        context.textBaseline = 'top';
+        context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        context.fillRect(screenWidth - 330, 10, 320, 52);
+        context.fillStyle = '#ff4d4d';
+        context.font = 'bold 16px "Roboto", sans-serif';
+        context.fillText(lines[0], screenWidth - 20, 16);
+        context.fillStyle = '#ccc';
+        context.font = '13px "Roboto", sans-serif';
+        context.fillText(lines[1], screenWidth - 20, 38);
+        context.restore();
+    }
+}
@@ -0,0 +1,136 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * The current version of the save format. Bump it whenever the shape of the saved
+ * data changes, and add a migration from the previous version to SAVE_MIGRATIONS.
+ */
+export const SAVE_VERSION = 4;
+
+/**
+ * Upgrades older saves one version at a time. Each entry is keyed by the version it
+ * upgrades *from* and returns the data in the next version's shape.
+ * A save whose version has no path to SAVE_VERSION is discarded.
+ */
+const SAVE_MIGRATIONS = {
+    // Version 2 added checkpoints; older saves have not reached any.
+    1: data => ({ ...data, version: 2, reachedCheckpoints: [] }),
+    // Version 3 added loot; older saves have no coins and the ammo a new run starts with.
+    2: data => ({ ...data, version: 3, player: { ...data.player, coins: 0, ammo: 12 } }),
+    // Version 4 added movement abilities; older saves have none unlocked.
+    3: data => ({ ...data, version: 4, player: { ...data.player, abilities: [] } }),
+};
+
+/**
+ * Reads and writes the player's progress to a Storage-like object (localStorage in the
+ * browser). Missing, corrupted or unknown saves are treated as "no save", so a broken
+ * save can never keep the game from starting.
+ */
+export class SaveManager {
+    /**
+     * @param {{getItem: Function, setItem: Function, removeItem: Function}|null} storage
+     *     Where saves are kept; without one, nothing is saved.
+     * @param {string} [key='moonlight-graveyard-save'] The storage key of the save.
+     */
+    constructor(storage, key = 'moonlight-graveyard-save') {
+        this.storage = storage;
+        this.key = key;
+    }
+
+    /**
+     * Writes a save, stamped with the current version.
+     * @param {Object} data The progress to save.
+     */
+    save(data) {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.key, JSON.stringify({ ...data, version: SAVE_VERSION }));
+        } catch (error) {
+            // Storage can be full or disabled (e.g. in private browsing); the game goes on without saving.
+            console.warn("Could not save progress.", error);
+        }
+    }
+
+    /**
+     * Reads the save, migrating it to the current version if it is older.
+     * @returns {Object|null} The save, or null if there is none or it could not be used.
+     */
+    load() {
+        if (!this.storage) return null;
+
+        let data;
+        try {
+            const json = this.storage.getItem(this.key);
+            if (!json) return null;
+            data = JSON.parse(json);
+        } catch (error) {
+            console.warn("Discarding an unreadable save.", error);
+            this.clear();
+            return null;
+        }
+
+        data = SaveManager.migrate(data);
+        if (!data) {
+            console.warn("Discarding a save from an unsupported version.");
+            this.clear();
+        }
+        return data;
+    }
+
+    /**
+     * @returns {boolean} Whether a usable save exists.
+     */
+    hasSave() {
+        return this.load() !== null;
+    }
+
+    /**
+     * Deletes the save.
+     */
+    clear() {
+        if (!this.storage) return;
+        try {
+            this.storage.removeItem(this.key);
+        } catch (error) {
+            console.warn("Could not delete the save.", error);
+        }
+    }
+
+    /**
+     * Brings a save up to the current version.
+     * @param {Object} data A parsed save of any version.
+     * @returns {Object|null} The migrated save, or null if it cannot be used.
+     */
+    static migrate(data) {
+        if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+            return null;
+        }
+
+        while (data.version < SAVE_VERSION) {
+            const migration = SAVE_MIGRATIONS[data.version];
+            if (!migration) return null;
+            data = migration(data);
+        }
+
+        return data.version === SAVE_VERSION && SaveManager.isValid(data) ? data : null;
+    }
+
+    /**
+     * Checks that a save of the current version has everything needed to continue.
+     * @param {Object} data The save to check.
+     * @returns {boolean}
+     */
+    static isValid(data) {
+        return !!data.player &&
+            Number.isFinite(data.player.x) &&
+            Number.isFinite(data.player.y) &&
+            Number.isFinite(data.player.coins) &&
+            Number.isFinite(data.player.ammo) &&
+            Array.isArray(data.player.abilities) &&
+            Array.isArray(data.killedEnemies) &&
+            Array.isArray(data.openedChests) &&
+            Array.isArray(data.reachedCheckpoints);
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from './Headless.js';
+import { SaveManager, SAVE_VERSION } from './SaveManager.js';
+
+const SAVE_KEY = 'moonlight-graveyard-save';
+
+/**
+ * A Map-backed stand-in for localStorage.
+ * @returns {{getItem: Function, setItem: Function, removeItem: Function, items: Map<string, string>}}
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        items,
+        getItem: key => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+    };
+}
+
+/**
+ * A save of the current version, as the game writes it.
+ * @returns {Object}
+ */
+function createCurrentSave() {
+    return {
+        version: SAVE_VERSION,
+        player: { x: 800, y: 407, direction: 'right', coins: 7, ammo: 20, abilities: ['doubleJump'] },
+        killedEnemies: ['enemy-1'],
+        openedChests: [],
+        reachedCheckpoints: ['checkpoint-1'],
+    };
+}
+
+/**
+ * A save as the first version of the game wrote it.
+ * @returns {Object}
+ */
+function createVersion1Save() {
+    return {
+        version: 1,
+        language: 'ka',
+        player: { x: 800, y: 407, direction: 'left' },
+        killedEnemies: ['enemy-1'],
+        openedChests: [],
+    };
+}
+
+test('a saved run continues where it left off', async () => {
+    const storage = createStorage();
+    const { game, input } = await createHeadlessGame({ seed: 1, storage });
+    game.step(400);
+    input.press('d');
+    game.step(30);
+    input.release('d');
+    game.world.query('enemy').find(enemy => enemy.spawnId === 'enemy-1').takeDamage(9999);
+    game.step(60);
+    assert.ok(game.saveProgress());
+    const savedX = game.player.x;
+
+    const { game: continued } = await createHeadlessGame({ seed: 1, storage, start: false });
+    continued.continueFromSave(continued.saveManager.load());
+
+    assert.equal(continued.player.x, savedX);
+    assert.ok(!continued.world.query('enemy').some(enemy => enemy.spawnId === 'enemy-1'));
+    assert.ok(continued.world.query('enemy').some(enemy => enemy.spawnId === 'enemy-2'));
+});
+
+test('a save of the current version loads as it was written', () => {
+    const storage = createStorage();
+    const saveManager = new SaveManager(storage);
+    saveManager.save(createCurrentSave());
+
+    assert.deepEqual(saveManager.load(), createCurrentSave());
+});
+
+test('a version 1 save is migrated to the current version', () => {
+    const storage = createStorage();
+    storage.setItem(SAVE_KEY, JSON.stringify(createVersion1Save()));
+
+    const save = new SaveManager(storage).load();
+
+    assert.equal(save.version, SAVE_VERSION);
+    assert.equal(save.language, 'ka');
+    assert.deepEqual(save.killedEnemies, ['enemy-1']);
+    assert.deepEqual(save.reachedCheckpoints, [], 'version 2 added checkpoints');
+    assert.equal(save.player.coins, 0, 'version 3 added loot');
+    assert.equal(save.player.ammo, 12);
+    assert.deepEqual(save.player.abilities, [], 'version 4 added movement abilities');
+});
+
+test('a version 2 save keeps its checkpoints and gets the starting loot', () => {
+    const version2Save = { ...createVersion1Save(), version: 2, reachedCheckpoints: ['checkpoint-2'] };
+
+    const save = SaveManager.migrate(version2Save);
+
+    assert.equal(save.version, SAVE_VERSION);
+    assert.deepEqual(save.reachedCheckpoints, ['checkpoint-2']);
+    assert.equal(save.player.x, 800);
+    assert.equal(save.player.coins, 0);
+    assert.equal(save.player.ammo, 12);
+    assert.deepEqual(save.player.abilities, []);
+});
+
+test('a version 3 save keeps its loot and has no abilities unlocked', () => {
+    const version3Save = {
+        ...createVersion1Save(),
+        version: 3,
+        player: { x: 800, y: 407, direction: 'left', coins: 5, ammo: 9 },
+        reachedCheckpoints: [],
+    };
+
+    const save = SaveManager.migrate(version3Save);
+
+    assert.equal(save.version, SAVE_VERSION);
+    assert.equal(save.player.coins, 5);
+    assert.equal(save.player.ammo, 9);
+    assert.deepEqual(save.player.abilities, []);
+});
+
+test('unreadable, incomplete and unknown saves are discarded', () => {
+    const storage = createStorage();
+    const saveManager = new SaveManager(storage);
+
+    storage.setItem(SAVE_KEY, '{not json');
+    assert.equal(saveManager.load(), null);
+    assert.ok(!storage.items.has(SAVE_KEY), 'an unreadable save is deleted');
+
+    storage.setItem(SAVE_KEY, JSON.stringify({ ...createCurrentSave(), player: { x: 'left' } }));
+    assert.equal(saveManager.load(), null);
+
+    storage.setItem(SAVE_KEY, JSON.stringify({ ...createCurrentSave(), killedEnemies: undefined }));
+    assert.equal(saveManager.load(), null);
+
+    storage.setItem(SAVE_KEY, JSON.stringify({ ...createCurrentSave(), player: { x: 1, y: 2, coins: 0, ammo: 0, abilities: 'dash' } }));
+    assert.equal(saveManager.load(), null);
+
+    storage.setItem(SAVE_KEY, JSON.stringify({ ...createVersion1Save(), player: null }));
+    assert.equal(saveManager.load(), null, 'a migrated save must still be valid');
+
+    storage.setItem(SAVE_KEY, JSON.stringify({ ...createCurrentSave(), version: SAVE_VERSION + 1 }));
+    assert.equal(saveManager.load(), null);
+
+    storage.setItem(SAVE_KEY, JSON.stringify({ ...createCurrentSave(), version: 0 }));
+    assert.equal(saveManager.load(), null);
+    assert.ok(!saveManager.hasSave());
+});
@@ -0,0 +1,65 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * Base class for the game's scenes (Menu, Intro, Playing, Paused, Ending).
+ * A scene owns its own update, drawing and input handling, and gets enter/exit
+ * callbacks from the SceneManager when it becomes active or is left.
+ * Subclasses override only the hooks they need.
+ */
+export class Scene {
+    /**
+     * @param {Game} game The main game object.
+     * @param {string} name The scene's name, e.g. 'PLAYING'.
+     */
+    constructor(game, name) {
+        this.game = game;
+        this.name = name;
+        this.runsSimulation = true; // False for scenes that freeze the world (e.g. the pause menu)
+        this.canPause = false; // Whether Escape opens the pause menu on top of this scene
+    }
+
+    /**
+     * Called when the scene becomes active.
+     * @param {Scene|null} previousScene The scene that was active before, if any.
+     */
+    enter(previousScene) {}
+
+    /**
+     * Called when the scene is left.
+     * @param {Scene|null} nextScene The scene that takes over, if any.
+     */
+    exit(nextScene) {}
+
+    /**
+     * Advances the scene by one simulation tick.
+     * @param {number} deltaTime Time since the last tick.
+     */
+    update(deltaTime) {}
+
+    /**
+     * Draws the scene.
+     * @param {CanvasRenderingContext2D} context The drawing context.
+     * @param {number} alpha Blend factor between the previous and current tick.
+     */
+    draw(context, alpha) {}
+
+    /**
+     * Handles a key press. Keys held for movement are read from the input adapter instead.
+     * @param {string} key The lower-cased key name.
+     */
+    handleKey(key) {
+        if (key === 'escape' && this.canPause) {
+            this.game.pause();
+        }
+    }
+
+    /**
+     * Handles a click on the canvas.
+     * @param {number} x The x-coordinate in canvas pixels.
+     * @param {number} y The y-coordinate in canvas pixels.
+     */
+    handleClick(x, y) {}
+}
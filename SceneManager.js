@@ -0,0 +1,97 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * Keeps track of the active scene and runs the enter/exit callbacks on transitions.
+ * Scenes form a stack so an overlay (like the pause menu) can be pushed on top of the
+ * current scene and popped off again without the scene below being re-entered.
+ */
+export class SceneManager {
+    constructor() {
+        this.scenes = {}; // Registered scenes by name
+        this.stack = [];
+    }
+
+    /**
+     * Registers a scene under its name.
+     * @param {Scene} scene The scene to register.
+     */
+    add(scene) {
+        this.scenes[scene.name] = scene;
+    }
+
+    /**
+     * @returns {Scene|null} The scene on top of the stack.
+     */
+    get current() {
+        return this.stack[this.stack.length - 1] || null;
+    }
+
+    /**
+     * Replaces every active scene with a new one.
+     * @param {string} name The name of the scene to switch to.
+     */
+    changeTo(name) {
+        const next = this.getScene(name);
+        let previous = null;
+        while (this.stack.length > 0) {
+            previous = this.stack.pop();
+            previous.exit(next);
+        }
+        this.stack.push(next);
+        next.enter(previous);
+    }
+
+    /**
+     * Puts a scene on top of the current one.
+     * @param {string} name The name of the scene to push.
+     */
+    push(name) {
+        const next = this.getScene(name);
+        const previous = this.current;
+        this.stack.push(next);
+        next.enter(previous);
+    }
+
+    /**
+     * Removes the top scene, returning to the one below it.
+     */
+    pop() {
+        if (this.stack.length < 2) return;
+        const top = this.stack.pop();
+        top.exit(this.current);
+    }
+
+    /**
+     * @param {string} name The name of a registered scene.
+     * @returns {Scene}
+     */
+    getScene(name) {
+        const scene = this.scenes[name];
+        if (!scene) {
+            throw new Error(`Unknown scene: ${name}`);
+        }
+        return scene;
+    }
+
+    /**
+     * Updates the top scene.
+     * @param {number} deltaTime Time since the last tick.
+     */
+    update(deltaTime) {
+        if (this.current) {
+            this.current.update(deltaTime);
+        }
+    }
+
+    /**
+     * Draws every scene on the stack from the bottom up, so overlays appear on top.
+     * @param {CanvasRenderingContext2D} context The drawing context.
+     * @param {number} alpha Blend factor between the previous and current tick.
+     */
+    draw(context, alpha) {
+        this.stack.forEach(scene => scene.draw(context, alpha));
+    }
+}
@@ -0,0 +1,48 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * An input adapter whose keys are set from code instead of the keyboard.
+ * It has the same shape as InputHandler, so a headless game (or a test) can drive the player.
+ */
+export class ScriptedInput {
+    constructor() {
+        this.keys = new Set();
+        this.isAttached = false;
+    }
+
+    attach() {
+        this.isAttached = true;
+    }
+
+    detach() {
+        this.isAttached = false;
+        this.keys.clear();
+    }
+
+    /**
+     * Holds down one or more keys.
+     * @param {...string} keys Lower-cased key names, e.g. 'd' or ' ' for Space.
+     */
+    press(...keys) {
+        keys.forEach(key => this.keys.add(key));
+    }
+
+    /**
+     * Releases one or more keys.
+     * @param {...string} keys Lower-cased key names.
+     */
+    release(...keys) {
+        keys.forEach(key => this.keys.delete(key));
+    }
+
+    /**
+     * Replaces the whole set of held keys.
+     * @param {Iterable<string>} keys Lower-cased key names.
+     */
+    setKeys(keys) {
+        this.keys = new Set(keys);
+    }
+}
@@ -12,15 +12,15 @@ export class SmokeParticle {
         this.x = x;
         this.y = y;
         
-        this.size = Math.random() * 15 + 10; // Increased size for more presence
-        this.speedX = Math.random() * 2.5 - 1.25; // Slightly wider horizontal drift
-        this.speedY = Math.random() * -2.0 - 0.8; // More initial upward velocity
+        this.size = this.game.random.next() * 15 + 10; // Increased size for more presence
+        this.speedX = this.game.random.next() * 2.5 - 1.25; // Slightly wider horizontal drift
+        this.speedY = this.game.random.next() * -2.0 - 0.8; // More initial upward velocity
         this.gravity = 0.01;
         
-        this.maxLife = Math.random() * 100 + 80; // Particles last longer
+        this.maxLife = this.game.random.next() * 100 + 80; // Particles last longer
         this.life = this.maxLife;
         // Whiter smoke color for more contrast and intensity
-        this.color = `rgba(220, 220, 220, ${Math.random() * 0.3 + 0.3})`;
+        this.color = `rgba(220, 220, 220, ${this.game.random.next() * 0.3 + 0.3})`;
         
         this.markedForDeletion = false;
     }
@@ -4,19 +4,23 @@
  */
 
 /**
- * Represents a single sparkle particle for visual effects on the treasure chest.
+ * Represents a single sparkle particle for visual effects on treasure: the chest and loot pickups.
  */
 export class SparkleParticle {
-    constructor(chest) {
-        this.chest = chest;
-        // Spawn sparkles in a radius around the chest's center
-        const angle = Math.random() * Math.PI * 2;
-        const radius = Math.random() * (this.chest.width / 2 + 10) + 25;
-        this.x = this.chest.x + this.chest.width / 2 + Math.cos(angle) * radius;
-        this.y = this.chest.y + this.chest.height / 2 + Math.sin(angle) * radius;
+    /**
+     * @param {{game: Game, x: number, y: number, width: number, height: number}} source The object to sparkle around.
+     * @param {number} [distance=25] How far beyond the object's edge the sparkles may appear.
+     */
+    constructor(source, distance = 25) {
+        const random = source.game.random;
+        // Spawn sparkles in a radius around the object's center
+        const angle = random.next() * Math.PI * 2;
+        const radius = random.next() * (source.width / 2 + 10) + distance;
+        this.x = source.x + source.width / 2 + Math.cos(angle) * radius;
+        this.y = source.y + source.height / 2 + Math.sin(angle) * radius;
         
-        this.size = Math.random() * 2.5 + 1;
-        this.maxLife = Math.random() * 60 + 40; // time-to-live for a sparkle
+        this.size = random.next() * 2.5 + 1;
+        this.maxLife = random.next() * 60 + 40; // time-to-live for a sparkle
         this.life = this.maxLife;
         this.color = `rgba(255, 223, 100, 1)`; // Gold color
         
@@ -0,0 +1,34 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * An asset adapter for headless runs. Instead of downloading anything it resolves
+ * every URL to a placeholder object that only carries the image dimensions, which is
+ * all the simulation needs (e.g. for platform sizes).
+ */
+export class StubImageLoader {
+    /**
+     * @param {number} [width=128] The width reported for every placeholder image.
+     * @param {number} [height=128] The height reported for every placeholder image.
+     */
+    constructor(width = 128, height = 128) {
+        this.width = width;
+        this.height = height;
+    }
+
+    /**
+     * @param {string} url The URL of the image that would be loaded.
+     * @returns {Promise<Object>} A placeholder with width/height properties.
+     */
+    loadImage(url) {
+        return Promise.resolve({
+            src: url,
+            width: this.width,
+            height: this.height,
+            naturalWidth: this.width,
+            naturalHeight: this.height
+        });
+    }
+}
@@ -0,0 +1,111 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { Enemy } from './Enemy.js';
+import { ENEMY_TYPES } from './EnemyTypeData.js';
+import { GAME_EVENTS } from './EventBus.js';
+import { LAYERS } from './World.js';
+
+/**
+ * A grave that raises enemies while the player is near it.
+ * Up to a cap of its enemies walk the graveyard at a time, and after each one climbs out the
+ * grave rests for a cooldown. The grave glows while it is awake.
+ */
+export class TombstoneSpawner {
+    /**
+     * @param {Game} game The main game object.
+     * @param {{x: number, y: number, width: number, height: number}} grave The tombstone the enemies rise from.
+     * @param {Object} options
+     * @param {string} options.type The kind of enemy raised, a key of ENEMY_TYPES.
+     * @param {number} options.cap How many of its enemies may be up at once.
+     * @param {number} options.cooldown ms between two enemies rising.
+     * @param {number} options.activationRadius How close (horizontally, in pixels) the player must be for the grave to wake.
+     * @param {Object} [options.patrol] How the raised enemies keep watch, as for enemies in LevelData.js; the grave is their post.
+     */
+    constructor(game, grave, { type, cap, cooldown, activationRadius, patrol = {} }) {
+        this.game = game;
+        this.x = grave.x;
+        this.y = grave.y;
+        this.width = grave.width;
+        this.height = grave.height;
+
+        this.type = type;
+        this.cap = cap;
+        this.cooldown = cooldown;
+        this.activationRadius = activationRadius;
+        this.patrol = patrol;
+        this.emergeDuration = 1200; // ms an enemy takes to climb out
+
+        this.risen = []; // The enemies raised by this grave that are still standing
+        this.cooldownTimer = 0;
+        this.isAwake = false;
+        this.glowTimer = 0; // Drives the pulse of the glow while awake
+        this.markedForDeletion = false;
+    }
+
+    /**
+     * Checks whether the player is alive, in control and within the activation radius.
+     * @returns {boolean}
+     */
+    isPlayerNear() {
+        const player = this.game.player;
+        if (!player || player.isDead || player.isFrozen) return false;
+        const offset = (player.x + player.width / 2) - (this.x + this.width / 2);
+        return Math.abs(offset) <= this.activationRadius;
+    }
+
+    /**
+     * Wakes the grave while the player is near and raises an enemy whenever there is room for one.
+     * @param {number} deltaTime - Time since the last frame.
+     */
+    update(deltaTime) {
+        this.cooldownTimer = Math.max(0, this.cooldownTimer - deltaTime);
+        this.risen = this.risen.filter(enemy => !enemy.isDead);
+        this.isAwake = this.isPlayerNear();
+
+        if (this.isAwake) {
+            this.glowTimer += deltaTime;
+            if (this.cooldownTimer === 0 && this.risen.length < this.cap) {
+                this.raise();
+            }
+        }
+    }
+
+    /**
+     * Raises one enemy out of the grave.
+     */
+    raise() {
+        const game = this.game;
+        const x = this.x + this.width / 2 - ENEMY_TYPES[this.type].width / 2; // Centered on the grave, its post
+        const enemy = new Enemy(game, { type: this.type, x, patrol: this.patrol }, game.environment, game.audioManager);
+        enemy.emerge(this.emergeDuration);
+        game.world.add(enemy, { tags: ['enemy', 'risen'], layer: LAYERS.ENEMIES });
+
+        this.risen.push(enemy);
+        this.cooldownTimer = this.cooldown;
+        game.events.emit(GAME_EVENTS.ENEMY_SPAWNED, { enemy, spawner: this });
+    }
+
+    /**
+     * Draws a sickly glow on the earth in front of the grave while it is awake.
+     * @param {CanvasRenderingContext2D} context The drawing context.
+     */
+    draw(context) {
+        if (!this.isAwake) return;
+
+        const centerX = this.x + this.width / 2;
+        const groundLevel = this.y + this.height;
+        const pulse = 0.35 + Math.sin(this.glowTimer / 250) * 0.1;
+
+        context.save();
+        const gradient = context.createRadialGradient(centerX, groundLevel, 0, centerX, groundLevel, this.width);
+        gradient.addColorStop(0, `rgba(130, 220, 110, ${pulse})`);
+        gradient.addColorStop(1, 'rgba(130, 220, 110, 0)');
+        context.fillStyle = gradient;
+        context.beginPath();
+        context.ellipse(centerX, groundLevel, this.width, this.width * 0.25, 0, 0, Math.PI * 2);
+        context.fill();
+        context.restore();
+    }
+}
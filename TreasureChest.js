@@ -7,6 +7,7 @@
 import { AnimationManager } from './AnimationManager.js';
 import { TREASURE_CHEST_ANIMATIONS } from './TreasureChestAnimationData.js';
 import { SparkleParticle } from './SparkleParticle.js';
+import { GAME_EVENTS } from './EventBus.js';
 
 /**
  * Represents an interactive treasure chest.
@@ -25,8 +26,9 @@ export class TreasureChest {
         
         this.state = 'closed'; // 'closed', 'opening', 'open'
         this.hasBeenOpened = false;
+        this.isLocked = false; // A locked chest (e.g. guarded by a boss) can't be opened and shows no hint
         
-        this.animationManager = new AnimationManager(this, TREASURE_CHEST_ANIMATIONS, 'TreasureChest');
+        this.animationManager = new AnimationManager(this, TREASURE_CHEST_ANIMATIONS, 'TreasureChest', this.game.assetLoader);
         this.animationManager.setAnimation('idle_closed');
 
         // For the interaction indicator effect
@@ -40,25 +42,28 @@ export class TreasureChest {
     }
 
     /**
-     * Opens the chest if it's currently closed.
+     * Opens the chest if it's currently closed. The game reacts to the chestOpened event
+     * (freezing the player, smoke, sound and the resume scroll).
      */
     open() {
         if (this.state === 'closed') {
-            this.game.freezePlayerForEnd(); // Freeze the player immediately
-
             this.state = 'opening';
             this.animationManager.setAnimation('opening');
             this.hasBeenOpened = true;
-            this.audioManager.playSound('chestOpen');
-            
-            // Create a more intense puff of smoke when the chest opens
-            this.game.createSmokeEffect(this.x + this.width / 2, this.y + this.height / 2);
-
-            // Tell the game to spawn a resume scroll at the chest's location
-            this.game.spawnResumeScroll(this.x, this.y);
+            this.game.events.emit(GAME_EVENTS.CHEST_OPENED, { chest: this });
         }
     }
 
+    /**
+     * Puts the chest straight into its open state, without the opening sequence.
+     * Used when a saved game is continued.
+     */
+    restoreOpened() {
+        this.state = 'open';
+        this.hasBeenOpened = true;
+        this.animationManager.setAnimation('idle_open');
+    }
+
     /**
      * Updates the chest's animation state and its sparkle effect.
      * @param {number} deltaTime - Time since the last frame.
@@ -73,7 +78,7 @@ export class TreasureChest {
         }
 
         // --- Player proximity check for hint ---
-        if (this.state === 'closed') {
+        if (this.state === 'closed' && !this.isLocked) {
             const player = this.game.player;
             if (player) {
                 const dx = (player.x + player.width / 2) - (this.x + this.width / 2);
@@ -87,7 +92,7 @@ export class TreasureChest {
 
         // --- Update Sparkle Effect ---
         // Only sparkle when the chest is closed and waiting to be opened.
-        if (this.state === 'closed') {
+        if (this.state === 'closed' && !this.isLocked) {
             this.sparkleTimer += deltaTime;
             if (this.sparkleTimer > this.sparkleInterval) {
                 this.sparkleTimer = 0;
@@ -0,0 +1,100 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { rectsOverlap } from './Collision.js';
+
+/**
+ * Drawing layers, from back to front. Entities on the same layer are drawn in the
+ * order they were added.
+ */
+export const LAYERS = {
+    ITEMS: 0,       // Treasure chests and the resume scroll
+    ENEMIES: 1,
+    EFFECTS: 2,     // Blood, smoke, dust and footstep particles
+    PROJECTILES: 3,
+    PLAYER: 4,
+};
+
+/**
+ * The registry of every entity in the level. Anything with update(deltaTime),
+ * draw(context) and a markedForDeletion flag can be added once, with tags to find it by,
+ * and the world takes care of updating and removing it. The entities list is kept in
+ * drawing order, so the renderer can simply walk it.
+ */
+export class World {
+    constructor() {
+        this.entities = []; // Kept sorted by layer, so updates and drawing run back to front
+    }
+
+    /**
+     * Registers an entity.
+     * @param {object} entity The entity to add.
+     * @param {Object} [options]
+     * @param {Array<string>} [options.tags=[]] Tags to query the entity by, e.g. ['enemy'].
+     * @param {number} [options.layer=LAYERS.EFFECTS] The drawing layer, see LAYERS.
+     * @returns {object} The entity, for chaining.
+     */
+    add(entity, { tags = [], layer = LAYERS.EFFECTS } = {}) {
+        entity.tags = new Set(tags);
+        entity.layer = layer;
+
+        // Insert after the last entity on the same or a lower layer.
+        let index = this.entities.length;
+        while (index > 0 && this.entities[index - 1].layer > layer) {
+            index--;
+        }
+        this.entities.splice(index, 0, entity);
+        return entity;
+    }
+
+    /**
+     * Removes every entity, e.g. before the level is rebuilt.
+     */
+    clear() {
+        this.entities = [];
+    }
+
+    /**
+     * Finds all entities with a tag.
+     * @param {string} tag The tag to look for.
+     * @param {function(object): boolean} [filter] Optional extra condition.
+     * @returns {Array<object>}
+     */
+    query(tag, filter = null) {
+        return this.entities.filter(entity =>
+            entity.tags.has(tag) && !entity.markedForDeletion && (!filter || filter(entity)));
+    }
+
+    /**
+     * Finds the first entity with a tag, e.g. the player.
+     * @param {string} tag The tag to look for.
+     * @returns {object|null}
+     */
+    first(tag) {
+        return this.entities.find(entity => entity.tags.has(tag) && !entity.markedForDeletion) || null;
+    }
+
+    /**
+     * Finds all entities with a tag whose bounds overlap a rectangle.
+     * Entities with a getHitbox() method are tested with their hitbox, all others with x/y/width/height.
+     * @param {string} tag The tag to look for.
+     * @param {{x: number, y: number, width: number, height: number}} rect The area to search.
+     * @param {function(object): boolean} [filter] Optional extra condition, e.g. enemy => !enemy.isDead.
+     * @returns {Array<object>}
+     */
+    queryRect(tag, rect, filter = null) {
+        return this.query(tag, entity =>
+            rectsOverlap(rect, entity.getHitbox ? entity.getHitbox() : entity) && (!filter || filter(entity)));
+    }
+
+    /**
+     * Updates every entity, then removes the ones marked for deletion.
+     * Entities added during the update are kept, but only updated from the next tick on.
+     * @param {number} deltaTime Time since the last tick.
+     */
+    update(deltaTime) {
+        [...this.entities].forEach(entity => entity.update(deltaTime));
+        this.entities = this.entities.filter(entity => !entity.markedForDeletion);
+    }
+}
@@ -4,112 +4,121 @@
  * @license
  * SPDX-License-Identifier: Apache-2.0
  */
-import { AnimationManager } from './AnimationManager.js';
-import { PLAYER_ANIMATIONS } from './PlayerAnimationData.js';
-import { PlayerController } from './PlayerController.js';
-import { Environment } from './Environment.js';
-import { Camera } from './Camera.js';
-import { Enemy } from './Enemy.js';
-import { Particle } from './Particle.js';
-import { Bullet } from './Bullet.js';
-import { TreasureChest } from './TreasureChest.js';
-import { SmokeParticle } from './SmokeParticle.js';
-import { DustParticle } from './DustParticle.js';
-import { FootstepParticle } from './FootstepParticle.js';
-import { ResumeScroll } from './ResumeScroll.js';
-import { RESUME_SCROLL_DATA } from './ResumeScrollData.js';
+import { Game } from './Game.js';
 import { AudioManager } from './AudioManager.js';
 import { AUDIO_DATA } from './AudioData.js';
-import { Player } from './Player.js';
-import { DIALOGUE_DATA } from './DialogueData.js';
+import { ImageLoader } from './ImageLoader.js';
+import { InputHandler } from './InputHandler.js';
+import { ReplayInput } from './ReplayInput.js';
 
 /**
- * The main game class to orchestrate everything.
+ * The browser front-end of the game. It owns the canvas, the HTML menus and the
+ * requestAnimationFrame loop, and wires the browser adapters (images, Web Audio,
+ * keyboard) into the simulation.
  */
-class Game {
-    constructor(canvas, startMenu, startButton, controlsGuide) {
+class GameApp {
+    constructor(canvas, startMenu, startButton, continueButton, controlsGuide, endScreen, playAgainButton, replayButton, replayFileInput) {
         this.canvas = canvas;
         this.startMenu = startMenu;
         this.startButton = startButton;
+        this.continueButton = continueButton;
+        this.replayButton = replayButton;
+        this.replayFileInput = replayFileInput;
         this.controlsGuide = controlsGuide;
-        this.width = canvas.width;
-        this.height = canvas.height;
+        this.endScreen = endScreen;
+        this.playAgainButton = playAgainButton;
         this.context = canvas.getContext('2d');
         this.lastTime = 0;
-        
-        this.worldWidth = this.width * 6; // Game world is 6x wider than the screen
-        this.camera = null;
-
-        this.environment = null;
-        this.player = null;
-        this.playerController = null;
-        this.audioManager = null;
-        this.enemies = [];
-        this.particles = [];
-        this.smokeParticles = [];
-        this.dustParticles = [];
-        this.footstepParticles = [];
-        this.bullets = [];
-        this.treasureChests = [];
-        this.resumeScrolls = [];
-        this.assets = {};
-
-        // --- Game State & Dialogue ---
-        this.gameState = 'MENU'; // 'MENU', 'DIALOGUE', 'PLAYING', 'GAME_OVER'
-        this.selectedLanguage = 'en'; // 'en' or 'ka', defaults to English
-        this.dialogueQueue = [];
-        this.currentDialogue = null;
-        this.dialogueTypingSpeed = 50; // ms per character
+
+        // A seed can be given as ?seed=1234 to reproduce a run from a bug report,
+        // and ?debug=1 starts with the debug overlay shown.
+        const params = new URLSearchParams(window.location.search);
+
+        // localStorage can be unavailable (e.g. blocked by privacy settings); the game then runs without saves.
+        let storage = null;
+        try {
+            storage = window.localStorage;
+        } catch (error) {
+            console.warn("localStorage is not available, progress will not be saved.", error);
+        }
+
+        this.game = new Game({
+            seed: params.get('seed') ?? undefined,
+            width: canvas.width,
+            height: canvas.height,
+            assetLoader: new ImageLoader(),
+            audioManager: new AudioManager(AUDIO_DATA),
+            input: new InputHandler(),
+            storage,
+            debug: params.get('debug') === '1',
+            ui: {
+                showEndScreen: () => this.showEndScreen(),
+                hideEndScreen: () => this.hideEndScreen(),
+                downloadResume: (url) => this.downloadResume(url),
+                downloadRecording: (recording) => this.downloadRecording(recording)
+            }
+        });
+
         this.startButtonTexts = {
             en: 'Start Game',
             ka: 'თამაშის დაწყება'
         };
+        this.continueButtonTexts = {
+            en: 'Continue',
+            ka: 'გაგრძელება'
+        };
+        this.replayButtonTexts = {
+            en: 'Watch Replay',
+            ka: 'ჩანაწერის ნახვა'
+        };
+        this.playAgainButtonTexts = {
+            en: 'Play Again',
+            ka: 'თავიდან თამაში'
+        };
         this.controlsGuideTexts = {
             en: `<div class="controls-title">Controls</div>` +
                 `<div class="control-item"><span>Move Right</span><span class="key">D</span></div>` +
                 `<div class="control-item"><span>Move Left</span><span class="key">A</span></div>` +
                 `<div class="control-item"><span>Jump</span><span class="key">SPACE</span></div>` +
+                `<div class="control-item"><span>Drop Through Platform</span><span class="key">S + SPACE</span></div>` +
                 `<div class="control-item"><span>Fire</span><span class="key">Q</span></div>` +
-                `<div class="control-item"><span>Knife</span><span class="key">W</span></div>`,
+                `<div class="control-item"><span>Knife</span><span class="key">W</span></div>` +
+                `<div class="control-item"><span>Open Chest</span><span class="key">E</span></div>` +
+                `<div class="control-item"><span>Double Jump* (in mid-air)</span><span class="key">SPACE</span></div>` +
+                `<div class="control-item"><span>Dash*</span><span class="key">SHIFT</span></div>` +
+                `<div class="control-item"><span>Wall Slide* (hold towards a tree)</span><span class="key">A / D</span></div>` +
+                `<div class="control-item"><span>Wall Jump* (off a tree)</span><span class="key">SPACE</span></div>` +
+                `<div class="control-item"><span>Pause</span><span class="key">ESC</span></div>` +
+                `<div class="control-item"><span>Save Recording</span><span class="key">F8</span></div>` +
+                `<div class="control-item"><span>Debug Overlay</span><span class="key">F9</span></div>` +
+                `<div class="controls-note">* Unlocked by the glowing crystals</div>`,
             ka: `<div class="controls-title">კონტროლი</div>` +
                 `<div class="control-item"><span>სირბილი მარჯვნივ</span><span class="key">D</span></div>` +
                 `<div class="control-item"><span>სირბილი მარცხნივ</span><span class="key">A</span></div>` +
                 `<div class="control-item"><span>ახტომა</span><span class="key">SPACE</span></div>` +
+                `<div class="control-item"><span>პლატფორმიდან ჩამოხტომა</span><span class="key">S + SPACE</span></div>` +
                 `<div class="control-item"><span>სროლა</span><span class="key">Q</span></div>` +
-                `<div class="control-item"><span>დანა</span><span class="key">W</span></div>`
+                `<div class="control-item"><span>დანა</span><span class="key">W</span></div>` +
+                `<div class="control-item"><span>სკივრის გახსნა</span><span class="key">E</span></div>` +
+                `<div class="control-item"><span>ორმაგი ხტომა* (ჰაერში)</span><span class="key">SPACE</span></div>` +
+                `<div class="control-item"><span>გაქანება*</span><span class="key">SHIFT</span></div>` +
+                `<div class="control-item"><span>ხეზე სრიალი* (ხისკენ გაიწიე)</span><span class="key">A / D</span></div>` +
+                `<div class="control-item"><span>ხიდან გადახტომა*</span><span class="key">SPACE</span></div>` +
+                `<div class="control-item"><span>პაუზა</span><span class="key">ESC</span></div>` +
+                `<div class="control-item"><span>ჩანაწერის შენახვა</span><span class="key">F8</span></div>` +
+                `<div class="control-item"><span>გამართვის ფენა</span><span class="key">F9</span></div>` +
+                `<div class="controls-note">* იხსნება მანათობელი კრისტალებით</div>`
         };
-        
+
         this.animate = this.animate.bind(this);
     }
 
     /**
-     * A utility function to preload a single image.
-     * @param {string} url The URL of the image to load.
-     * @returns {Promise<Image>} A promise that resolves with the loaded Image object.
-     */
-    async loadImage(url) {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.crossOrigin = 'Anonymous';
-            img.onload = () => resolve(img);
-            img.onerror = () => reject(`Failed to load image: ${url}`);
-            img.src = url;
-        });
-    }
-    
-    /**
-     * Initializes the game by loading assets and setting up game objects.
+     * Initializes the game and the UI around it.
      */
     async init() {
-        this.camera = new Camera(this.width, this.height, this.worldWidth);
-        this.environment = new Environment(this, this.width, this.height, this.worldWidth);
-        this.audioManager = new AudioManager(AUDIO_DATA);
-
-        // Preload all critical visual assets before starting
         try {
-            await this.environment.loadAssets();
-            this.assets.resumeScroll = await this.loadImage(RESUME_SCROLL_DATA.url);
-            console.log("All critical visual assets have been preloaded.");
+            await this.game.init();
         } catch (error) {
             console.error("A critical asset failed to load, cannot start the game.", error);
             this.startButton.textContent = 'Load Error';
@@ -117,26 +126,18 @@ class Game {
             return; // Halt initialization
         }
 
-        // Create game objects and pass the audio manager
-        this.player = new Player(this, PLAYER_ANIMATIONS, this.environment, this.audioManager);
-        
-        // Create enemies
-        this.enemies.push(new Enemy(this, 1200, 0, this.environment, this.audioManager));
-        this.enemies.push(new Enemy(this, 1800, 0, this.environment, this.audioManager));
-        this.enemies.push(new Enemy(this, 2700, 0, this.environment, this.audioManager));
-        this.enemies.push(new Enemy(this, 900 + 3000, 0, this.environment, this.audioManager));
-        this.enemies.push(new Enemy(this, 1800 + 3000, 0, this.environment, this.audioManager));
-        this.enemies.push(new Enemy(this, 2700 + 3000, 0, this.environment, this.audioManager));
-        
-        // Create treasure chest
-        this.treasureChests.push(new TreasureChest(this, 5500, this.audioManager));
-
         // The game loop will start in a "paused" drawing state
         this.animate(0);
 
         // --- Setup UI Event Listeners ---
         this.setupLanguageSelector();
         this.setupStartButton();
+        this.setupContinueButton();
+        this.setupReplayButton();
+        this.setupPauseControls();
+        this.setupReplayControls();
+        this.setupDebugControls();
+        this.setupPlayAgainButton();
     }
 
     /**
@@ -146,502 +147,264 @@ class Game {
         const languageOptions = document.querySelectorAll('.language-option');
         languageOptions.forEach(option => {
             option.addEventListener('click', () => {
-                languageOptions.forEach(opt => opt.classList.remove('selected'));
-                option.classList.add('selected');
-                this.selectedLanguage = option.dataset.lang;
-                // Update button text based on the new language
-                this.startButton.textContent = this.startButtonTexts[this.selectedLanguage];
+                this.selectLanguage(option.dataset.lang);
             });
         });
     }
 
+    /**
+     * Switches the game and the start menu to a language.
+     * @param {string} language The language code, 'en' or 'ka'.
+     */
+    selectLanguage(language) {
+        document.querySelectorAll('.language-option').forEach(option => {
+            option.classList.toggle('selected', option.dataset.lang === language);
+        });
+        this.game.selectedLanguage = language;
+        // Update button text based on the new language
+        this.startButton.textContent = this.startButtonTexts[language];
+        this.continueButton.textContent = this.continueButtonTexts[language];
+        this.replayButton.textContent = this.replayButtonTexts[language];
+    }
+
     /**
      * Sets up the start button to load audio and begin the game.
      */
     setupStartButton() {
         this.startButton.addEventListener('click', async () => {
-            this.startButton.disabled = true;
             this.startButton.textContent = 'Loading...';
-
-            // User has interacted, so we can create the audio context
-            this.audioManager.initAudioContext();
-            
-            // Now load all sounds
-            await this.audioManager.loadSounds();
-
-            // Fade out menu and start the game
-            this.startMenu.style.opacity = '0';
-            this.audioManager.playBackgroundMusic();
-            this.audioManager.startRandomScreams(); // Start the spooky screams
-            this.showControlsGuide();
-
-            setTimeout(() => {
-                this.startMenu.classList.add('hidden');
-                this.startDialogue([
-                    { text: DIALOGUE_DATA[this.selectedLanguage].intro, target: this.player }
-                ]);
-                this.playerController = new PlayerController(this.player);
-            }, 500);
+            await this.leaveStartMenu();
+            this.game.startNewRun();
         });
     }
 
     /**
-     * Shows the controls guide UI element with a fade-in animation.
+     * Offers to continue the saved run, if there is one, in the language it was played in.
      */
-    showControlsGuide() {
-        if (!this.controlsGuide) return;
-        
-        const text = this.controlsGuideTexts[this.selectedLanguage];
-        this.controlsGuide.innerHTML = text;
-        this.controlsGuide.classList.remove('hidden'); // This removes display: none
+    setupContinueButton() {
+        const save = this.game.saveManager.load();
+        if (!save) return;
 
-        // Add 'visible' class after a short delay to trigger the transition
-        // This forces a reflow, allowing the transition to play.
-        setTimeout(() => {
-            this.controlsGuide.classList.add('visible');
-        }, 10);
-    }
+        this.continueButton.classList.remove('hidden');
+        this.selectLanguage(save.language || this.game.selectedLanguage);
 
-    /**
-     * Creates a more intense puff of smoke particles.
-     * @param {number} x The center x-coordinate for the effect.
-     * @param {number} y The center y-coordinate for the effect.
-     */
-    createSmokeEffect(x, y) {
-        const particleCount = 70; // Increased for a more intense effect
-        for (let i = 0; i < particleCount; i++) {
-            this.smokeParticles.push(new SmokeParticle(this, x, y));
-        }
+        this.continueButton.addEventListener('click', async () => {
+            this.continueButton.textContent = 'Loading...';
+            await this.leaveStartMenu();
+            this.game.continueFromSave(save);
+        });
     }
 
     /**
-     * Creates a dust cloud effect for sliding.
-     * @param {number} x The center x-coordinate for the effect.
-     * @param {number} y The center y-coordinate for the effect.
-     * @param {string} direction The direction the player is facing.
+     * Sets up the button that loads a replay file and plays it back.
      */
-    createDustEffect(x, y, direction) {
-        const particleCount = 3; // A small puff
-        for (let i = 0; i < particleCount; i++) {
-            this.dustParticles.push(new DustParticle(this, x, y, direction));
-        }
-    }
+    setupReplayButton() {
+        this.replayButton.addEventListener('click', () => {
+            this.replayFileInput.click();
+        });
 
-    /**
-     * Creates a dust cloud effect for footsteps or landing.
-     * @param {number} x The center x-coordinate for the effect.
-     * @param {number} y The center y-coordinate for the effect.
-     * @param {number} count The number of particles to create.
-     * @param {string|null} direction Optional direction for running, or null for a burst effect on landing.
-     */
-    createFootstepEffect(x, y, count, direction = null) {
-        const particleCount = count;
-        for (let i = 0; i < particleCount; i++) {
-            this.footstepParticles.push(new FootstepParticle(this, x, y, direction));
-        }
-    }
+        this.replayFileInput.addEventListener('change', async () => {
+            const file = this.replayFileInput.files[0];
+            if (!file) return;
+
+            let recording;
+            try {
+                recording = JSON.parse(await file.text());
+                ReplayInput.validate(recording);
+            } catch (error) {
+                console.error("Could not load the replay file.", error);
+                this.replayButton.textContent = 'Invalid Replay File';
+                return;
+            }
 
+            await this.leaveStartMenu();
+            this.game.startReplay(recording);
+        });
+    }
 
     /**
-     * Creates a new ResumeScroll object and adds it to the game.
-     * @param {number} chestX The x-coordinate of the chest that spawned it.
-     * @param {number} chestY The y-coordinate of the chest that spawned it.
+     * Loads the audio (this needs the user interaction that just happened) and fades out the start menu.
+     * @returns {Promise<void>} Resolves once the menu is gone.
      */
-    spawnResumeScroll(chestX, chestY) {
-        this.resumeScrolls.push(new ResumeScroll(this, chestX, chestY));
+    async leaveStartMenu() {
+        const audioManager = this.game.audioManager;
+        this.startButton.disabled = true;
+        this.continueButton.disabled = true;
+        this.replayButton.disabled = true;
+
+        // User has interacted, so we can create the audio context
+        audioManager.initAudioContext();
+
+        // Now load all sounds
+        await audioManager.loadSounds();
+
+        // Fade out menu and start the game
+        this.startMenu.style.opacity = '0';
+        audioManager.playBackgroundMusic();
+        audioManager.startRandomScreams(); // Start the spooky screams
+        this.showControlsGuide();
+
+        await new Promise(resolve => setTimeout(resolve, 500));
+        this.startMenu.classList.add('hidden');
     }
 
     /**
-     * Starts a new dialogue sequence.
-     * @param {Array<Object>} sequence - An array of dialogue objects.
+     * Sets up the "Play again" button on the end screen.
      */
-    startDialogue(sequence) {
-        this.dialogueQueue = sequence;
-        // Don't change the game state if it's already GAME_OVER.
-        // Dialogue can play on top of the GAME_OVER state.
-        if (this.gameState !== 'GAME_OVER') {
-            this.gameState = 'DIALOGUE';
-        }
-        this.advanceDialogueQueue();
+    setupPlayAgainButton() {
+        this.playAgainButton.addEventListener('click', () => {
+            this.game.reset();
+        });
     }
-    
+
     /**
-     * Moves to the next dialogue in the queue.
+     * Shows the end screen with the "Play again" button.
      */
-    advanceDialogueQueue() {
-        if (this.dialogueQueue.length > 0) {
-            this.currentDialogue = this.dialogueQueue.shift();
-            this.currentDialogue.displayedText = '';
-            this.currentDialogue.typingTimer = 0;
-            this.currentDialogue.isTypingComplete = false;
-            this.currentDialogue.endTimer = 0;
-        } else {
-            this.currentDialogue = null;
-            if (this.gameState !== 'GAME_OVER') {
-                 this.gameState = 'PLAYING';
-            }
-        }
+    showEndScreen() {
+        this.playAgainButton.textContent = this.playAgainButtonTexts[this.game.selectedLanguage];
+        this.endScreen.classList.remove('hidden');
+
+        // Same reflow trick as the controls guide, so the fade-in transition plays.
+        setTimeout(() => {
+            this.endScreen.classList.add('visible');
+        }, 10);
     }
-    
+
     /**
-     * Updates the current dialogue's typing effect and timers.
-     * @param {number} deltaTime - Time since the last frame.
+     * Hides the end screen.
      */
-    updateDialogue(deltaTime) {
-        if (!this.currentDialogue) {
-            return;
-        }
-        
-        const dialogue = this.currentDialogue;
-        if (!dialogue.isTypingComplete) {
-            dialogue.typingTimer += deltaTime;
-            if (dialogue.typingTimer >= this.dialogueTypingSpeed) {
-                dialogue.typingTimer = 0;
-                if (dialogue.displayedText.length < dialogue.text.length) {
-                    dialogue.displayedText += dialogue.text[dialogue.displayedText.length];
-                } else {
-                    dialogue.isTypingComplete = true;
-                }
-            }
-        } else {
-            dialogue.endTimer += deltaTime;
-            if (dialogue.endTimer >= 2000) { // Wait 2s after typing
-                this.advanceDialogueQueue();
-            }
-        }
+    hideEndScreen() {
+        this.endScreen.classList.remove('visible');
+        this.endScreen.classList.add('hidden');
     }
-    
+
     /**
-     * Called when the chest is opened. Freezes the player and detaches controls.
+     * Triggers the download of the resume file.
+     * @param {string} url The direct download link of the file.
      */
-    freezePlayerForEnd() {
-        if (this.player) {
-            this.player.forceIdleAndFreeze();
-        }
-        if (this.playerController) {
-            this.playerController.detach();
-        }
+    downloadResume(url) {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'AndriaJandieri_Resume.pdf';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
     }
-    
+
     /**
-     * Initiates the end-of-game sequence: dialogue, download, and disabling controls.
+     * Saves a recorded run as a JSON file.
+     * @param {Object} recording The recording, as produced by InputRecorder.toJSON().
      */
-    endGameSequence() {
-        // Add a guard to ensure this sequence only runs once.
-        if (this.gameState === 'GAME_OVER') {
-            return;
-        }
-        
-        this.gameState = 'GAME_OVER';
-        
-        this.startDialogue([{
-            text: DIALOGUE_DATA[this.selectedLanguage].outro,
-            target: this.player,
-        }]);
-
-        // Trigger the file download after a specified delay
-        setTimeout(() => {
-            const link = document.createElement('a');
-            link.href = RESUME_SCROLL_DATA.downloadUrl;
-            link.download = 'AndriaJandieri_Resume.pdf';
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-        }, RESUME_SCROLL_DATA.downloadDelay || 500); // Use delay, with a fallback
+    downloadRecording(recording) {
+        const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `moonlight-replay-${recording.seed}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
     }
 
     /**
-     * Updates all game objects based on the current game state.
-     * @param {number} deltaTime - Time since the last frame.
+     * Sets up the recording shortcut (F8) and the playback controls used during a replay.
      */
-    update(deltaTime) {
-        // Handle dialogue updates separately, as they can occur in PLAYING or GAME_OVER states.
-        if (this.gameState === 'DIALOGUE' || this.gameState === 'GAME_OVER') {
-            this.updateDialogue(deltaTime);
-        }
-
-        // --- Core Updates (animations, physics) ---
-        // These run in both PLAYING and GAME_OVER to keep the world alive.
-        // The individual update methods have checks to prevent movement when game is over.
-        if (this.gameState === 'PLAYING' || this.gameState === 'GAME_OVER') {
-            if (this.player) this.player.update(deltaTime);
-            this.enemies.forEach(enemy => enemy.update(deltaTime));
-            this.treasureChests.forEach(chest => chest.update(deltaTime));
-            this.resumeScrolls.forEach(scroll => scroll.update(deltaTime));
-            this.particles.forEach(p => p.update(deltaTime));
-            this.smokeParticles.forEach(p => p.update(deltaTime));
-            this.dustParticles.forEach(p => p.update(deltaTime));
-            this.footstepParticles.forEach(p => p.update(deltaTime));
-            this.bullets.forEach(bullet => bullet.update(deltaTime));
-            if (this.environment) {
-                this.environment.update(deltaTime);
-            }
-
-            // Cleanup arrays
-            this.enemies = this.enemies.filter(enemy => !enemy.markedForDeletion);
-            this.particles = this.particles.filter(p => !p.markedForDeletion);
-            this.smokeParticles = this.smokeParticles.filter(p => !p.markedForDeletion);
-            this.dustParticles = this.dustParticles.filter(p => !p.markedForDeletion);
-            this.footstepParticles = this.footstepParticles.filter(p => !p.markedForDeletion);
-            this.bullets = this.bullets.filter(bullet => !bullet.markedForDeletion);
-        }
-
-        // --- Active Gameplay Logic ---
-        // This block only runs when the player has active control.
-        if (this.gameState === 'PLAYING') {
-            if (!this.player || !this.playerController || !this.environment || !this.camera) {
+    setupReplayControls() {
+        window.addEventListener('keydown', (e) => {
+            const key = e.key.toLowerCase();
+            if (key === 'f8') {
+                e.preventDefault();
+                this.game.saveRecording();
                 return;
             }
-            
-            // Prevent player control if the player is frozen for the end sequence.
-            if (!this.player.isFrozen) {
-                this.playerController.update(deltaTime);
-            }
-
-            // Check if the scroll has finished its animation to trigger the end game
-            this.resumeScrolls.forEach(scroll => {
-                if (scroll.awaitingDialogueTrigger) {
-                    this.endGameSequence();
-                    scroll.awaitingDialogueTrigger = false; // Prevent re-triggering
-                }
-            });
-
-            // Handle chest opening with 'E' key
-            if (this.playerController.inputHandler.keys.has('e')) {
-                this.treasureChests.forEach(chest => {
-                    // Player must be in range and on the ground to open.
-                    if (chest.state === 'closed' && chest.isPlayerInRange && this.player.isOnGround()) {
-                        chest.open();
-                    }
-                });
-            }
 
-            // Handle bullet firing
-            if (this.player.animationManager.currentAnimationName === 'shoot' && 
-                this.player.animationManager.currentFrame === 1 && 
-                !this.player.hasFiredThisShot) 
-            {
-                const bulletYOffset = this.player.height * 0.55;
-                const bulletXOffset = this.player.direction === 'right' ? this.player.width - 10 : -10;
-                this.bullets.push(new Bullet(this, this.player.x + bulletXOffset, this.player.y + bulletYOffset - 5, this.player.direction));
-                this.player.hasFiredThisShot = true;
+            const replay = this.game.replay;
+            if (!replay || this.game.gameState === 'PAUSED') return;
+            switch (key) {
+                case 'p':
+                    replay.togglePause();
+                    break;
+                case '.':
+                    replay.requestStep();
+                    break;
+                case '1':
+                case '2':
+                case '4':
+                    replay.setSpeed(Number(key));
+                    break;
+                case 'x':
+                    this.game.stopReplay();
+                    break;
             }
+        });
+    }
 
-            // Handle melee attack collisions
-            if (this.player.animationManager.currentAnimationName === 'melee') {
-                const attackRange = 80;
-                const attackHitbox = {
-                    x: this.player.direction === 'right' ? this.player.x + this.player.hitboxOffsetX + this.player.hitboxWidth - 10 : this.player.x + this.player.hitboxOffsetX + 10 - attackRange,
-                    y: this.player.y,
-                    width: attackRange,
-                    height: this.player.height
-                };
-
-                this.enemies.forEach(enemy => {
-                    const enemyHitboxX = enemy.x + enemy.hitboxOffsetX;
-                    if (!enemy.isDead && !this.player.enemiesHitThisSwing.includes(enemy)) {
-                        if (
-                            attackHitbox.x < enemyHitboxX + enemy.hitboxWidth &&
-                            attackHitbox.x + attackHitbox.width > enemyHitboxX &&
-                            attackHitbox.y < enemy.y + enemy.height &&
-                            attackHitbox.y + attackHitbox.height > enemy.y
-                        ) {
-                            enemy.takeDamage(25);
-                            this.player.enemiesHitThisSwing.push(enemy);
-                            for (let i = 0; i < 15; i++) {
-                                this.particles.push(new Particle(this, enemy.x + enemy.width / 2, enemy.y + enemy.height / 2));
-                            }
-                        }
-                    }
-                });
-                
-                // Handle scaring away blinking eyes
-                this.environment.blinkingEyes.forEach(eye => {
-                    if (!eye.isScared) {
-                        // Define a "scare zone" around the eyes
-                        const eyeScareZone = {
-                            x: eye.x - 20, y: eye.y - 20,
-                            width: 40, height: 40,
-                        };
-                        
-                        // Check for overlap between the attack hitbox and the scare zone
-                        if (
-                            attackHitbox.x < eyeScareZone.x + eyeScareZone.width &&
-                            attackHitbox.x + attackHitbox.width > eyeScareZone.x &&
-                            attackHitbox.y < eyeScareZone.y + eyeScareZone.height &&
-                            attackHitbox.y + attackHitbox.height > eyeScareZone.y
-                        ) {
-                            eye.scareAway();
-                        }
-                    }
-                });
+    /**
+     * Sets up the debug overlay shortcut (F9).
+     */
+    setupDebugControls() {
+        window.addEventListener('keydown', (e) => {
+            if (e.key.toLowerCase() === 'f9') {
+                e.preventDefault();
+                this.game.debugOverlay.toggle();
             }
-            
-            // Handle bullet collisions
-            this.bullets.forEach(bullet => {
-                // Check collision with enemies
-                this.enemies.forEach(enemy => {
-                    const enemyHitboxX = enemy.x + enemy.hitboxOffsetX;
-                    if (!enemy.isDead &&
-                        bullet.x < enemyHitboxX + enemy.hitboxWidth &&
-                        bullet.x + bullet.width > enemyHitboxX &&
-                        bullet.y < enemy.y + enemy.height &&
-                        bullet.y + bullet.height > enemy.y
-                    ) {
-                        enemy.takeDamage(bullet.damage);
-                        bullet.markedForDeletion = true;
-                        for (let i = 0; i < 15; i++) {
-                            this.particles.push(new Particle(this, bullet.x, bullet.y + bullet.height / 2));
-                        }
-                    }
-                });
-
-                // Check collision with blinking eyes
-                this.environment.blinkingEyes.forEach(eye => {
-                    if (!eye.isScared && !bullet.markedForDeletion) {
-                        const eyeScareZone = {
-                            x: eye.x - 20, y: eye.y - 20,
-                            width: 40, height: 40,
-                        };
-                        
-                        // Check for overlap between the bullet and the scare zone
-                        if (
-                            bullet.x < eyeScareZone.x + eyeScareZone.width &&
-                            bullet.x + bullet.width > eyeScareZone.x &&
-                            bullet.y < eyeScareZone.y + eyeScareZone.height &&
-                            bullet.y + bullet.height > eyeScareZone.y
-                        ) {
-                            eye.scareAway();
-                            // Do not mark the bullet for deletion; let it pass through.
-                        }
-                    }
-                });
-            });
-        }
-
-        if (this.camera && this.player) {
-            this.camera.update(this.player);
-        }
+        });
     }
 
     /**
-     * Draws all game objects and UI elements like the dialogue box.
+     * Forwards key presses and canvas clicks to the game's active scene (e.g. Escape
+     * pauses, the pause menu is navigated in-canvas), and pauses when the page is hidden.
      */
-    draw() {
-        this.context.clearRect(0, 0, this.width, this.height);
-        
-        if (this.environment) {
-            this.environment.drawBackground(this.context, this.camera);
-        }
-        
-        this.context.save();
-        this.context.translate(-this.camera.x, -this.camera.y);
+    setupPauseControls() {
+        window.addEventListener('keydown', (e) => {
+            this.game.handleKey(e.key.toLowerCase());
+        });
 
-        if (this.environment) {
-            this.environment.drawForeground(this.context, this.camera);
-        }
-        
-        this.treasureChests.forEach(chest => chest.draw(this.context));
-        this.resumeScrolls.forEach(scroll => scroll.draw(this.context));
-        this.enemies.forEach(enemy => enemy.draw(this.context));
-        this.particles.forEach(p => p.draw(this.context));
-        this.smokeParticles.forEach(p => p.draw(this.context));
-        this.dustParticles.forEach(p => p.draw(this.context));
-        this.footstepParticles.forEach(p => p.draw(this.context));
-        this.bullets.forEach(bullet => bullet.draw(this.context));
-        
-        if (this.player) {
-            this.player.draw(this.context);
-        }
-        
-        this.context.restore();
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.game.pause();
+            }
+        });
 
-        if ((this.gameState === 'DIALOGUE' || this.gameState === 'GAME_OVER') && this.currentDialogue) {
-            this.drawDialogueBox();
-        }
+        this.canvas.addEventListener('click', (e) => {
+            // Convert from CSS pixels to canvas pixels
+            const rect = this.canvas.getBoundingClientRect();
+            const x = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+            const y = (e.clientY - rect.top) * (this.canvas.height / rect.height);
+            this.game.handleClick(x, y);
+        });
     }
 
     /**
-     * Draws a stylish dialogue box as a speech bubble above the target character's head.
+     * Shows the controls guide UI element with a fade-in animation.
      */
-    drawDialogueBox() {
-        const dialogue = this.currentDialogue;
-        if (!dialogue || !dialogue.target) {
-            return;
-        }
-        
-        const target = dialogue.target;
-        const text = dialogue.displayedText;
-        this.context.font = '20px "Georgia", serif';
-        const textMetrics = this.context.measureText(text);
-        
-        const boxPadding = 20;
-        const boxWidth = Math.min(this.width - 40, this.context.measureText(dialogue.text).width + boxPadding * 2);
-        const boxHeight = 50;
-        const borderRadius = 10;
-        const calloutHeight = 15;
-        const calloutWidth = 30;
-
-        const targetScreenX = target.x - this.camera.x + target.width / 2;
-        const targetScreenY = target.y - this.camera.y;
-
-        let boxX = targetScreenX - boxWidth / 2;
-        let boxY = targetScreenY - boxHeight - calloutHeight - 15;
-
-        boxX = Math.max(20, Math.min(boxX, this.width - boxWidth - 20));
-        boxY = Math.max(20, Math.min(boxY, this.height - boxHeight - 20));
-        
-        const calloutX = Math.max(
-            boxX + borderRadius + calloutWidth / 2,
-            Math.min(targetScreenX, boxX + boxWidth - borderRadius - calloutWidth / 2)
-        );
-
-        this.context.save();
-        
-        this.context.fillStyle = 'rgba(0, 0, 0, 0.85)';
-        this.context.strokeStyle = 'rgba(122, 14, 14, 0.9)';
-        this.context.shadowColor = 'rgba(255, 80, 80, 0.7)';
-        this.context.shadowBlur = 15;
-        this.context.lineWidth = 3;
-
-        this.context.beginPath();
-        this.context.moveTo(boxX + borderRadius, boxY);
-        this.context.lineTo(boxX + boxWidth - borderRadius, boxY);
-        this.context.arcTo(boxX + boxWidth, boxY, boxX + boxWidth, boxY + borderRadius, borderRadius);
-        this.context.lineTo(boxX + boxWidth, boxY + boxHeight - borderRadius);
-        this.context.arcTo(boxX + boxWidth, boxY + boxHeight, boxX + boxWidth - borderRadius, boxY + boxHeight, borderRadius);
-        this.context.lineTo(calloutX + calloutWidth / 2, boxY + boxHeight);
-        this.context.lineTo(calloutX, boxY + boxHeight + calloutHeight);
-        this.context.lineTo(calloutX - calloutWidth / 2, boxY + boxHeight);
-        this.context.lineTo(boxX + borderRadius, boxY + boxHeight);
-        this.context.arcTo(boxX, boxY + boxHeight, boxX, boxY + boxHeight - borderRadius, borderRadius);
-        this.context.lineTo(boxX, boxY + borderRadius);
-        this.context.arcTo(boxX, boxY, boxX + borderRadius, boxY, borderRadius);
-        this.context.closePath();
-        
-        this.context.fill();
-        this.context.stroke();
-        
-        this.context.restore();
-        
-        this.context.fillStyle = '#f0e6d2';
-        this.context.font = '20px "Georgia", serif';
-        this.context.textAlign = 'center';
-        this.context.textBaseline = 'middle';
-        this.context.fillText(text, boxX + boxWidth / 2, boxY + boxHeight / 2);
+    showControlsGuide() {
+        if (!this.controlsGuide) return;
+
+        const text = this.controlsGuideTexts[this.game.selectedLanguage];
+        this.controlsGuide.innerHTML = text;
+        this.controlsGuide.classList.remove('hidden'); // This removes display: none
+
+        // Add 'visible' class after a short delay to trigger the transition
+        // This forces a reflow, allowing the transition to play.
+        setTimeout(() => {
+            this.controlsGuide.classList.add('visible');
+        }, 10);
     }
-    
+
     /**
-     * The main game loop.
+     * The main game loop. Advances the simulation by the real elapsed time and draws
+     * the result, interpolated between the last two simulation ticks.
      * @param {number} timestamp - The current time provided by requestAnimationFrame.
      */
     animate(timestamp) {
-        const deltaTime = timestamp - this.lastTime;
+        const frameTime = this.lastTime ? timestamp - this.lastTime : 0;
         this.lastTime = timestamp;
-        
-        this.update(deltaTime || 0);
-        this.draw();
-        
+
+        const alpha = this.game.advance(frameTime);
+        this.game.draw(this.context, alpha);
+
         requestAnimationFrame(this.animate);
     }
 }
@@ -650,13 +413,20 @@ window.addEventListener('load', function() {
     const canvas = document.getElementById('game-canvas');
     const startMenu = document.getElementById('start-menu');
     const startButton = document.getElementById('start-button');
+    const continueButton = document.getElementById('continue-button');
     const controlsGuide = document.getElementById('controls-guide');
+    const endScreen = document.getElementById('end-screen');
+    const playAgainButton = document.getElementById('play-again-button');
+    const replayButton = document.getElementById('replay-button');
+    const replayFileInput = document.getElementById('replay-file-input');
 
-    if (!canvas || !startMenu || !startButton || !controlsGuide) {
+    if (!canvas || !startMenu || !startButton || !continueButton || !controlsGuide || !endScreen || !playAgainButton ||
+        !replayButton || !replayFileInput) {
         console.error('Game elements not found!');
         return;
     }
 
-    const game = new Game(canvas, startMenu, startButton, controlsGuide);
-    game.init();
-});
\ No newline at end of file
+    const app = new GameApp(canvas, startMenu, startButton, continueButton, controlsGuide, endScreen, playAgainButton,
+        replayButton, replayFileInput);
+    app.init();
+});